@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+
+/**
+ * Dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cnsl = require('@nycopportunity/pttrn/bin/util/console');
+const alerts = require('@nycopportunity/pttrn/config/alerts');
+
+const services = require('../config/services');
+const locales = require('../config/locales');
+const about = require('../config/about');
+const callouts = require('../config/callouts');
+const root = require('../config/slm').root;
+
+/**
+ * Constants
+ */
+
+const DIST = 'dist';
+const TERMS = 'dist/data/terms.json';
+const SERVICES = 'dist/data/services.json';
+
+/**
+ * Matches the tags with links that are checked and the attributes in a tag
+ *
+ * @type {RegExp}
+ */
+const TAGS = /<(a|area|link)\s[^>]*>/gi;
+const IDS = /\sid=["']([^"']+)["']/gi;
+const CONTROLS = /\saria-controls=["']([^"']+)["']/gi;
+
+/**
+ * Shared content that is added to pages outside of the service content files
+ *
+ * @type {Array}
+ */
+const SHARED = [
+  {file: 'config/callouts.js', data: callouts},
+  {file: 'config/about.js', data: about}
+];
+
+/**
+ * The site root as a URL. Links to the origin of the root that start with its
+ * path are internal.
+ *
+ * @type {URL}
+ */
+const site = new URL(root || 'http://localhost');
+const prefix = site.pathname.replace(/\/$/, '');
+
+/**
+ * Decode the HTML entities that appear in attribute values
+ *
+ * @param   {String}  value  The attribute value
+ *
+ * @return  {String}         The decoded value
+ */
+const decode = (value) => value
+  .replace(/&amp;/g, '&')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, '\'');
+
+/**
+ * Get the value of an attribute in a tag
+ *
+ * @param   {String}  tag   The tag
+ * @param   {String}  name  The attribute name
+ *
+ * @return  {String}        The value or false if the tag does not have it
+ */
+const attribute = (tag, name) => {
+  let match = new RegExp(`\\s${name}=(?:"([^"]*)"|'([^']*)')`, 'i').exec(tag);
+
+  return (match) ? decode(match[1] !== undefined ? match[1] : match[2]) : false;
+};
+
+/**
+ * Find every html file in a directory
+ *
+ * @param   {String}  dir    The directory
+ * @param   {Array}   files  The files found so far
+ *
+ * @return  {Array}          The paths of the files
+ */
+const walk = (dir, files = []) => {
+  fs.readdirSync(dir, {withFileTypes: true}).forEach(entry => {
+    let file = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      walk(file, files);
+    } else if (path.extname(entry.name) === '.html') {
+      files.push(file);
+    }
+  });
+
+  return files;
+};
+
+/**
+ * Get the file in the distribution folder a site path points to. Pages are
+ * linked to with or without the .html extension.
+ *
+ * @param   {String}  pathname  The path after the site root (/services/index)
+ *
+ * @return  {String}            The file or false if it does not exist
+ */
+const target = (pathname) => {
+  let file = path.join(DIST, decodeURIComponent(pathname));
+
+  return [
+    file,
+    `${file}.html`,
+    path.join(file, 'index.html')
+  ].find(f => fs.existsSync(f) && fs.statSync(f).isFile()) || false;
+};
+
+/**
+ * Get the ids of the elements in a page. Pages are read once.
+ *
+ * @type {Function}
+ *
+ * @param   {String}  file  The html file
+ *
+ * @return  {Set}           The ids in the page
+ */
+const ids = ((cache) => (file) => {
+  if (!cache.has(file)) {
+    let html = fs.readFileSync(file, 'utf8');
+
+    cache.set(file, new Set([...html.matchAll(IDS)].map(match => decode(match[1]))));
+  }
+
+  return cache.get(file);
+})(new Map());
+
+/**
+ * Find where a link on a page is written. Service pages are checked against
+ * the fields of their service (or its translation) and every page is checked
+ * against shared content. Links that aren't in content come from templates.
+ *
+ * @param   {String}  file  The html file of the page
+ * @param   {String}  href  The link
+ *
+ * @return  {Object}        file, field, and title of the source
+ */
+const source = (file, href) => {
+  let relative = path.relative(DIST, file).split(path.sep);
+  let locale = locales.find(l => l.path === relative[0]);
+  let page = (locale) ? relative.slice(1) : relative;
+  let sources = [];
+
+  if (page[0] === 'services') {
+    let service = services
+      .find(s => s.slug === path.basename(file, '.html'));
+
+    if (service && locale && service.translations[locale.code]) {
+      service = service.translations[locale.code];
+    }
+
+    if (service) sources.push({file: service.file, data: service, title: service.title});
+  }
+
+  sources = sources.concat(SHARED);
+
+  let written = [href, href.replace(root, '{{ this.root }}')];
+
+  let find = (value, key) => {
+    if (typeof value === 'string') {
+      return (written.some(w => w && value.includes(w))) ? key : false;
+    }
+
+    if (typeof value === 'object' && value !== null) {
+      for (let k of Object.keys(value)) {
+        let found = find(value[k], (Array.isArray(value)) ? `${key}[${k}]` : `${key}.${k}`);
+
+        if (found) return found;
+      }
+    }
+
+    return false;
+  };
+
+  for (let s of sources) {
+    let field = find(s.data, '');
+
+    if (field) return {file: s.file, field: field.replace(/^\./, ''), title: s.title || false};
+  }
+
+  return {file: file, field: 'template', title: false};
+};
+
+/**
+ * Check the links of a page. Internal links must point to a file in the
+ * distribution folder, #anchors must be the id of an element on the target
+ * page, taxonomy ids in query strings must be in terms.json, and aria-controls
+ * must be the id of an element on the page.
+ *
+ * @param   {String}  file   The html file of the page
+ * @param   {Object}  terms  Sets of ids for each query parameter
+ *
+ * @return  {Array}          A list of errors
+ */
+const check = (file, terms) => {
+  let html = fs.readFileSync(file, 'utf8');
+  let page = new URL(`${prefix}/${path.relative(DIST, file).split(path.sep).join('/')}`, site.origin);
+  let errors = [];
+
+  let error = (href, message) => errors.push(Object.assign({href: href, message: message},
+    source(file, href)));
+
+  for (let match of html.matchAll(TAGS)) {
+    let href = attribute(match[0], 'href');
+
+    if (!href || href === '#' || /^(mailto|tel|sms|javascript|data):/i.test(href)) continue;
+
+    let url = new URL(href, page);
+
+    if (url.origin !== site.origin || !url.pathname.startsWith(prefix)) continue;
+
+    let linked = target(url.pathname.slice(prefix.length) || '/');
+
+    if (!linked) {
+      error(href, 'links to a page or file that does not exist');
+
+      continue;
+    }
+
+    let hash = decodeURIComponent(url.hash.slice(1));
+
+    if (hash && path.extname(linked) === '.html' && !ids(linked).has(hash)) {
+      error(href, `links to #${hash} but ${path.relative(DIST, linked)} does not have an element with that id`);
+    }
+
+    url.searchParams.forEach((value, key) => {
+      let param = key.replace('[]', '');
+
+      if (terms[param] && !terms[param].has(Number(value))) {
+        error(href, `links to the ${param} id ${value} but it is not in ${TERMS}`);
+      }
+    });
+  }
+
+  for (let match of html.matchAll(CONTROLS)) {
+    match[1].split(/\s+/).filter(id => id && !ids(file).has(id)).forEach(id => {
+      errors.push({
+        file: file,
+        field: 'template',
+        title: false,
+        href: `aria-controls="${id}"`,
+        message: 'controls an element that is not on the page'
+      });
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Check that each card in the services archive links to a service page. Cards
+ * link to the slug of the service.
+ *
+ * @return  {Array}  A list of errors
+ */
+const cards = () => {
+  let json = JSON.parse(fs.readFileSync(SERVICES, 'utf8'));
+
+  return json.filter(post => !target(`/services/${post.slug}`))
+    .map(post => {
+      let service = services.find(s => s.id === post.id);
+
+      return {
+        file: (service) ? service.file : SERVICES,
+        field: 'title',
+        title: post.title,
+        href: `services/${post.slug}`,
+        message: 'is the archive card link but the page does not exist'
+      };
+    });
+};
+
+/**
+ * Export our methods
+ *
+ * @type {Object}
+ */
+module.exports = {
+  run: async () => {
+    if (!fs.existsSync(TERMS) || !fs.existsSync(SERVICES)) {
+      cnsl.error(`${alerts.str.path(TERMS)} and ${alerts.str.path(SERVICES)} are needed to check links. Run the services command and build the site first.`);
+
+      process.exit(1);
+    }
+
+    let terms = {};
+
+    JSON.parse(fs.readFileSync(TERMS, 'utf8')).forEach(facet => {
+      terms[facet.slug] = new Set(facet.programs.map(p => p.id));
+    });
+
+    let pages = walk(DIST);
+    let errors = cards();
+
+    pages.forEach(file => {
+      errors = errors.concat(check(file, terms));
+    });
+
+    errors.forEach(e => {
+      let title = (e.title) ? ` ${alerts.str.comment(`(${e.title})`)}` : '';
+
+      cnsl.error(`${alerts.str.path(e.file)} ${alerts.str.string(e.field)}${title} ${e.href} ${e.message}.`);
+    });
+
+    if (errors.length) {
+      cnsl.error(`Found ${errors.length} broken link(s) in ${pages.length} pages.`);
+
+      process.exit(1);
+    }
+
+    cnsl.success(`Links in ${pages.length} pages are valid.`);
+  }
+};
@@ -5,10 +5,35 @@
  */
 
 const fs = require('fs');
+const path = require('path');
 const cnsl = require('@nycopportunity/pttrn/bin/util/console');
 const alerts = require('@nycopportunity/pttrn/config/alerts');
 
+const validate = require('./util/validate');
+const lint = require('./util/lint');
+const changelog = require('./util/changelog');
+const csv = require('./util/csv');
+const spreadsheet = require('./util/spreadsheet');
+const related = require('./util/related');
+const banners = require('./util/banners');
+const callouts = require('./util/callouts');
+const redirects = require('./util/redirects');
+const eligibility = require('./util/eligibility');
+const collections = require('./util/collections');
+const dates = require('./util/dates');
+const api = require('./util/api');
+const hsds = require('./util/hsds');
+const pages = require('./util/pages');
+
 const services = require('../config/services');
+const categories = require('../config/categories.json');
+const population = require('../config/population.json');
+const boroughs = require('../config/boroughs.json');
+const providers = require('../config/providers.json');
+const requirements = require('../config/eligibility.json');
+const locales = require('../config/locales');
+const schema = require('../config/api');
+const pkg = require('../package.json');
 
 const createSlug = (s) =>
   s
@@ -18,14 +43,689 @@ const createSlug = (s) =>
     .replace(/-+/g, '-');
 
 const card = {
+  id: '',
+  slug: '',
   subtitle: '',
   title: '',
   programProvider: '',
+  providers: [],
   body: '',
   link: '',
   featured: '',
   categories: {},
   population: {},
+  status: '',
+  contacts: [],
+  locations: [],
+  boroughs: [],
+  eligibility: {},
+  eligible: [],
+  ages: '',
+};
+
+/**
+ * The taxonomy registries that services are validated against, keyed by the
+ * schema ref name
+ *
+ * @type {Object}
+ */
+const registries = {
+  categories: {
+    file: 'config/categories.json',
+    terms: categories
+  },
+  population: {
+    file: 'config/population.json',
+    terms: population
+  },
+  boroughs: {
+    file: 'config/boroughs.json',
+    terms: boroughs
+  },
+  providers: {
+    file: 'config/providers.json',
+    terms: providers
+  },
+  eligibility: {
+    file: 'config/eligibility.json',
+    terms: requirements
+  }
+};
+
+/**
+ * Validate each service against the schema in config/schema.js, the banners
+ * in config/banners.js, the callouts in config/callouts.js, and the slug
+ * history in config/redirects.json and log any errors with the path to the
+ * invalid value.
+ *
+ * @return  {Boolean}  Wether the services are valid
+ */
+const check = () => {
+  let errors = services.errors.concat(validate(services, registries))
+    .concat(related.check(services), banners.check(services), callouts.check(services))
+    .concat(redirects.check(services, redirects.history()));
+
+  locales.forEach(locale => {
+    errors = errors.concat(validate(services.translations[locale.code], registries));
+  });
+
+  errors.forEach(error => {
+    cnsl.error(`${alerts.str.path(error.file)} ${alerts.str.string(error.path)} ${alerts.str.comment(`(${error.title})`)} ${error.message}.`);
+  });
+
+  if (errors.length) {
+    cnsl.error(`Services have ${errors.length} error(s). Nothing was written.`);
+
+    return false;
+  }
+
+  cnsl.success(`${alerts.str.path('content/services')} is valid.`);
+
+  return true;
+};
+
+/**
+ * Warn about services that are due for a review or have ended but are not
+ * retired and about banner sources that no page uses. These do not stop the
+ * build.
+ *
+ * @return  {Number}  The number of warnings
+ */
+const review = () => {
+  let today = dates.today();
+  let warnings = 0;
+
+  services.forEach(service => {
+    let file = alerts.str.path(service.file);
+    let title = alerts.str.comment(`(${service.title})`);
+
+    if (service.reviewBy && service.reviewBy < today) {
+      cnsl.lint(`${alerts.warning} ${file} ${title} was due for a review on ${service.reviewBy}.`);
+
+      warnings++;
+    }
+
+    if (service.ended) {
+      cnsl.lint(`${alerts.warning} ${file} ${title} ended on ${service.endDate} but its status is ${service.ended}. It is archived until the status is set to retired.`);
+
+      warnings++;
+    }
+  });
+
+  banners.orphans().forEach(source => {
+    cnsl.lint(`${alerts.warning} ${alerts.str.path(source)} is not the banner of a page in ${alerts.str.path('config/banners.js')}.`);
+
+    warnings++;
+  });
+
+  return warnings;
+};
+
+/**
+ * Lint the HTML in the body of each service and its translations against the
+ * rules in config/lint.js. With the --fix flag, issues that can be fixed are
+ * fixed in the content files.
+ *
+ * @return  {Boolean}  Wether the content has no issues left
+ */
+const tidy = () => {
+  let issues = [];
+
+  services.forEach(service => {
+    issues = issues.concat(lint.service(service));
+
+    locales.filter(locale => service.translations[locale.code]).forEach(locale => {
+      issues = issues.concat(lint.service(service.translations[locale.code], service));
+    });
+  });
+
+  if (process.argv.includes('--fix')) {
+    [...new Set(issues.filter(issue => issue.fixable).map(issue => issue.file))]
+      .filter(file => lint.file(file))
+      .forEach(file => cnsl.success(`${alerts.str.path(file)} was fixed.`));
+
+    issues = issues.filter(issue => !issue.fixable);
+  }
+
+  issues.forEach(issue => {
+    cnsl.error(`${alerts.str.path(issue.file)} ${alerts.str.string(issue.path)} ${alerts.str.comment(`(${issue.title})`)} ${issue.message}.`);
+  });
+
+  if (issues.length) {
+    let fixable = issues.filter(issue => issue.fixable).length;
+
+    cnsl.error(`Service content has ${issues.length} issue(s).` +
+      ((fixable) ? ` ${fixable} can be fixed with ${alerts.str.string('--fix')}.` : ''));
+
+    return false;
+  }
+
+  cnsl.success(`${alerts.str.path('content/services')} content is clean.`);
+
+  return true;
+};
+
+/**
+ * Write a view for the translation of a page. The view includes the English
+ * view with the locale set so the page and the layout use the translation.
+ *
+ * @param   {String}  view    The path of the English view in src (/views/about.slm)
+ * @param   {Object}  locale  The locale from config/locales.js
+ */
+const translate = (view, locale) => {
+  let data = fs.readFileSync('src/slm/locales/view.slm', 'utf8');
+  let write = view.replace('/views/', `src/views/${locale.path}/`);
+
+  data = data
+    .replace(/{{ VIEW }}/g, view)
+    .replace(/{{ LOCALE }}/g, locale.code);
+
+  // Slm creates one directory for each view it writes. Create the locale
+  // directories ahead of it.
+  fs.mkdirSync(path.dirname(write), {recursive: true});
+  fs.mkdirSync(path.dirname(write).replace('src/views', 'dist'), {recursive: true});
+
+  fs.writeFileSync(write, data);
+
+  cnsl.success(`${alerts.str.path(write)} was made.`);
+};
+
+/**
+ * Write a view that lists services, such as a provider or landing page. The
+ * template gets the content file names of the services ({{ SERVICES }}) and
+ * the codes of the locales they are translated in ({{ LOCALES }}). The view is
+ * translated in the same locales.
+ *
+ * @param   {String}  template  The path of the template (src/slm/providers/provider.slm)
+ * @param   {String}  view      The path of the view in src (/views/providers/dfta.slm)
+ * @param   {Object}  values    Values for the other {{ KEYS }} of the template
+ * @param   {Array}   listed    The services listed on the page
+ */
+const listing = (template, view, values, listed) => {
+  let translated = pages.translated(listed);
+  let write = `src${view}`;
+  let data = fs.readFileSync(template, 'utf8')
+    .replace('{{ SERVICES }}', JSON.stringify(listed.map(s => path.basename(s.file, '.md'))))
+    .replace('{{ LOCALES }}', JSON.stringify(translated.map(locale => locale.code)));
+
+  Object.keys(values)
+    .forEach(key => data = data.split(`{{ ${key} }}`).join(values[key]));
+
+  fs.mkdirSync(path.dirname(write), {recursive: true});
+
+  fs.writeFileSync(write, data);
+
+  cnsl.success(`${alerts.str.path(write)} was made.`);
+
+  translated.forEach(locale => translate(view, locale));
+};
+
+/**
+ * Create the service views and the services and terms json. Retired services
+ * get an archived notice page and are left out of the services json. Each
+ * translation of a service and the about page gets a view in the directory of
+ * its locale. Previous slugs of a service get a view that redirects to the
+ * current slug. Each provider, population, and category gets a view listing
+ * its services.
+ */
+const generate = async () => {
+  let json = [];
+
+  let servciesJson = 'dist/data/services.json';
+  let termsJson = 'dist/data/terms.json';
+
+  for (let i = services.length - 1; i >= 0; i--) {
+    let service = services[i];
+
+    /**
+     * Create service view
+     */
+    let template = (service.status === 'retired') ?
+      'src/slm/services/archived.slm' : 'src/slm/services/service.slm';
+    let data = fs.readFileSync(template, 'utf8');
+    let slug = service.slug;
+    let write = `src/views/services/${slug}.slm`;
+
+    data = data
+      .replace(/{{ SERVICE_ID }}/g, service.id)
+      .replace(/{{ SERVICE_SLUG }}/g, slug)
+      .replace('{{ RELATED }}', JSON.stringify(related.related(service, services)))
+      .replace('{{ SERVICE_DESCRIPTION }}', service.metaDescription ? service.metaDescription : service.subtitle );
+
+    // if (!fs.existsSync(write)) {
+    await fs.writeFileSync(write, data);
+
+    cnsl.success(`${alerts.str.path(write)} was made.`);
+    // } else {
+    // cnsl.error(`${alerts.str.path(write)} already exists.`);
+    // }
+
+    locales.filter(locale => service.translations[locale.code])
+      .forEach(locale => translate(`/views/services/${slug}.slm`, locale));
+
+    /**
+     * Build card data for services.json
+     */
+
+    let srvc = {};
+
+    Object.keys(card).map((key) => {
+      if (key === 'body') {
+        srvc[key] = service['subtitle'];
+      } else if (key === 'contacts') {
+        srvc[key] = [].concat(...service.body.howToGetInTouch.content
+          .map(item => item.contacts || []));
+      } else if (key === 'locations') {
+        srvc[key] = service.locations || [];
+      } else if (key === 'featured') {
+        srvc[key] = collections.positions(service, services);
+      } else if (key === 'eligibility') {
+        srvc[key] = service.eligibility || {};
+      } else if (key === 'eligible') {
+        srvc[key] = eligibility.terms(service);
+      } else if (key === 'ages') {
+        srvc[key] = eligibility.ages((service.eligibility || {}).ages);
+      } else if (key === 'boroughs') {
+        srvc[key] = boroughs.filter(borough => (service.locations || [])
+          .some(location => location.borough.id === borough.id));
+      } else {
+        srvc[key] = service[key];
+      }
+    });
+
+    srvc.categories = service.categories
+      .map(category => ({id: category.id, name: category.name, slug: category.slug}));
+
+    srvc.providers = service.providers
+      .map(provider => ({id: provider.id, name: provider.name, slug: provider.slug}));
+
+    service.population.map(people => {
+      people.slug = createSlug(people.name)
+    })
+
+    if (service.status !== 'retired') json.push(srvc);
+  }
+
+  /**
+   * Record the slug of each service and create a redirect view for each of
+   * their previous slugs
+   */
+
+  let history = redirects.history();
+
+  if (redirects.record(services, history)) {
+    redirects.save(history);
+
+    cnsl.success(`${alerts.str.path(redirects.file)} was updated.`);
+  }
+
+  redirects.redirects(services, history).forEach(redirect => {
+    let write = `src/views/services/${redirect.slug}.slm`;
+
+    fs.writeFileSync(write, fs.readFileSync('src/slm/services/redirect.slm', 'utf8')
+      .replace(/{{ SERVICE_ID }}/g, redirect.service.id));
+
+    cnsl.success(`${alerts.str.path(write)} was made.`);
+
+    locales.filter(locale => redirect.service.translations[locale.code])
+      .forEach(locale => translate(`/views/services/${redirect.slug}.slm`, locale));
+  });
+
+  /**
+   * Create a page for each provider listing the services it provides and a
+   * landing page for each population (/services/for/veterans) and category
+   * (/services/type/crisis-support) listing the services in it
+   */
+
+  let active = services.filter(s => s.status !== 'retired');
+
+  pages.listings(services).forEach(page => listing(page.template,
+    `/views${page.path}.slm`, page.values, page.listed));
+
+  locales.filter(locale => locale.about)
+    .forEach(locale => translate('/views/about.slm', locale));
+
+  /**
+   * Build the filters for terms.json from the taxonomy registries
+   */
+
+  let terms = [
+    {
+      name: "Type of Support",
+      slug: "cat",
+      programs: [...categories].sort((a, b) => a.order - b.order)
+    },
+    {
+      name: "People Served",
+      slug: "pop",
+      programs: population
+    },
+    {
+      name: "Borough",
+      slug: "boro",
+      programs: boroughs
+    },
+    {
+      name: "Eligibility",
+      slug: "elig",
+      programs: eligibility.filters(active)
+    },
+    {
+      name: "Provider",
+      slug: "prov",
+      programs: providers.filter(provider => json
+        .some(s => s.providers.some(p => p.id === provider.id)))
+    }
+  ];
+
+  /**
+   * Write the services json
+   */
+
+  fs.writeFileSync(servciesJson, JSON.stringify(json));
+  fs.writeFileSync(termsJson, JSON.stringify(terms));
+
+  cnsl.success(`${alerts.str.path(servciesJson)} was made.`);
+  cnsl.success(`${alerts.str.path(termsJson)} was made.`);
+
+  /**
+   * Write the open data API. The services and terms json above are kept for
+   * the archive and the API has its own versioned shape.
+   */
+
+  let published = services.filter(s => s.status !== 'retired');
+  let endpoints = {
+    '/services.json': {api: api.version, count: published.length, services: published.map(api.summary)},
+    '/terms.json': api.terms({
+      categories: [...categories].sort((a, b) => a.order - b.order),
+      population: population,
+      boroughs: boroughs,
+      eligibility: requirements,
+      providers: providers
+    }),
+    '/meta.json': api.meta(pkg.version, published.length),
+    '/schema.json': schema
+  };
+
+  published.forEach(s => endpoints[`/services/${s.slug}.json`] = api.detail(s));
+
+  fs.mkdirSync(api.file('/services'), {recursive: true});
+
+  Object.keys(endpoints).forEach(endpoint => {
+    fs.writeFileSync(api.file(endpoint), JSON.stringify(endpoints[endpoint], null, 2));
+  });
+
+  cnsl.success(`${alerts.str.path(api.file('/'))} was made with ${Object.keys(endpoints).length} endpoints.`);
+};
+
+/**
+ * Get the value of a command line flag (--from v1.2.0)
+ *
+ * @param   {String}  name  The name of the flag
+ *
+ * @return  {String}        The value or false if the flag is not set
+ */
+const flag = (name) => {
+  let index = process.argv.indexOf(`--${name}`);
+
+  let value = (index > -1) ? process.argv[index + 1] : false;
+
+  return (value && !value.startsWith('--')) ? value : false;
+};
+
+/**
+ * Write the content changes between two git refs as Markdown and JSON. The
+ * changes are compared to the working tree unless a --to ref is set.
+ */
+const log = () => {
+  let from = flag('from');
+  let to = flag('to');
+
+  let markdownFile = 'dist/data/changelog.md';
+  let jsonFile = 'dist/data/changelog.json';
+
+  if (!from) {
+    cnsl.error(`The changelog needs a git ref to compare to, such as ${alerts.str.string('--from v1.2.0')}.`);
+
+    process.exit(1);
+  }
+
+  try {
+    let changes = changelog.diff(changelog.load(from), changelog.load(to));
+    let name = to || 'the working tree';
+
+    fs.mkdirSync('dist/data', {recursive: true});
+
+    fs.writeFileSync(markdownFile, changelog.markdown(changes, from, name));
+    fs.writeFileSync(jsonFile, JSON.stringify(Object.assign({from: from, to: name}, changes), null, 2));
+
+    cnsl.describe(`${alerts.info} ${changes.added.length} added, ${changes.removed.length} removed, ${changes.retitled.length} retitled, and ${changes.changed.length} changed service(s) from ${from} to ${name}.`);
+
+    cnsl.success(`${alerts.str.path(markdownFile)} was made.`);
+    cnsl.success(`${alerts.str.path(jsonFile)} was made.`);
+  } catch (err) {
+    cnsl.error(`The changelog could not be made. ${(err.stderr) ? String(err.stderr).trim() : err.message}`);
+
+    process.exit(1);
+  }
+};
+
+/**
+ * The default spreadsheet for the export and import arguments
+ *
+ * @type {String}
+ */
+const CSV = 'dist/data/services.csv';
+
+/**
+ * Shorten a value for the import preview
+ *
+ * @param   {String}  value  The value
+ *
+ * @return  {String}         The shortened value
+ */
+const preview = (value) => (value) ?
+  JSON.stringify((value.length > 60) ? `${value.slice(0, 60)}…` : value) :
+  alerts.str.comment('(empty)');
+
+/**
+ * Write the English services to a spreadsheet. Each service is a row with its
+ * front matter flattened into columns and the Markdown of each section.
+ */
+const table = () => {
+  let file = flag('csv') || CSV;
+  let rows = services.map(s => spreadsheet.row(s.file, services.sections));
+  let columns = spreadsheet.columns(rows);
+
+  fs.mkdirSync(path.dirname(file), {recursive: true});
+
+  fs.writeFileSync(file, csv.stringify([columns].concat(rows.map(r => columns.map(c => r[c])))));
+
+  cnsl.success(`${alerts.str.path(file)} was made.`);
+};
+
+/**
+ * The taxonomy registries that imported rows are checked against
+ *
+ * @type {Object}
+ */
+const registry = {
+  categories: new Map(categories.map(t => [t.id, t.name])),
+  population: new Map(population.map(t => [t.id, t.name])),
+  providers: new Map(providers.map(t => [t.id, t.name]))
+};
+
+/**
+ * Preview the changes in imported rows to each content file. With the --write
+ * flag the changes are merged into the content files. Rows are matched to
+ * content files by the file column, the id, or the title of the service. New
+ * services get the next id and the slug of their file name. Rows with
+ * category, population, or provider ids that are not in the registries are
+ * rejected. So are rows that would make a content file that is not valid,
+ * such as a new service without the required columns, which are checked
+ * against config/schema.js before anything is written.
+ *
+ * @param   {String}  source  The path of the spreadsheet or package
+ * @param   {Array}   rows    The rows ({record, line, unmapped, missing}). The
+ *                            unmapped values are listed with the changes of
+ *                            the row and rows with missing values are
+ *                            rejected.
+ */
+const merge = (source, rows) => {
+  let write = process.argv.includes('--write');
+  let changed = 0;
+  let rejected = 0;
+  let id = Math.max(0, ...services.map(s => s.id || 0));
+
+  rows.forEach(({record, line, unmapped = [], missing = []}) => {
+    let service = services.find(s => record.id && String(s.id) === record.id.trim()) ||
+      services.find(s => s.title === record.title);
+    let name = (record.file) ? path.basename(record.file, '.md') :
+      (service) ? path.basename(service.file, '.md') : record.slug || createSlug(record.title || '');
+    let title = alerts.str.comment(`(${record.title || name})`);
+
+    unmapped.forEach(field => {
+      cnsl.lint(`${alerts.warning} ${alerts.str.path(source)} ${alerts.str.string(line)} ${title} ${field}.`);
+    });
+
+    let errors = (name) ? missing.concat(spreadsheet.check(record, registry)) :
+      ['needs a file or title'];
+
+    if (errors.length) {
+      errors.forEach(e => cnsl.error(`${alerts.str.path(source)} ${alerts.str.string(line)} ${title} ${e}.`));
+
+      rejected++;
+
+      return;
+    }
+
+    let target = `content/services/${name}.md`;
+    let current = (fs.existsSync(target)) ? spreadsheet.row(target, services.sections) : {};
+
+    if (!fs.existsSync(target)) {
+      record.id = record.id || String(++id);
+      record.slug = record.slug || name;
+    }
+
+    let changes = spreadsheet.changes(record, current);
+
+    if (!changes.length) return;
+
+    changes.forEach(change => {
+      cnsl.lint(`${alerts.str.path(target)} ${alerts.str.string(change.column)} ${preview(change.from)} → ${preview(change.to)}`);
+    });
+
+    let merged = services.preview(target, spreadsheet.render(target, record, services.sections, registry));
+    let invalid = validate(services.filter(s => s.file !== merged.file).concat(merged), registries)
+      .filter(error => error.file === merged.file);
+
+    if (invalid.length) {
+      invalid.forEach(e => cnsl.error(`${alerts.str.path(source)} ${alerts.str.string(line)} ${title} ${alerts.str.string(e.path)} ${e.message}.`));
+
+      rejected++;
+
+      return;
+    }
+
+    if (write) {
+      spreadsheet.write(target, record, services.sections, registry);
+
+      cnsl.success(`${alerts.str.path(target)} was updated.`);
+    }
+
+    changed++;
+  });
+
+  cnsl.lint(`${alerts.info} ${changed} service(s) ${(write) ? 'were updated' : 'have changes'} and ${rejected} row(s) were rejected.`);
+
+  if (!write && changed) {
+    cnsl.lint(`${alerts.info} Run the import with ${alerts.str.string('--write')} to merge the changes into ${alerts.str.path('content/services')}.`);
+  }
+
+  if (rejected) process.exit(1);
+};
+
+/**
+ * Import a spreadsheet made by the export (or edited from it). See merge()
+ * for how rows are matched and written.
+ */
+const update = () => {
+  let file = flag('csv') || CSV;
+
+  if (!fs.existsSync(file)) {
+    cnsl.error(`${alerts.str.path(file)} does not exist. Set the spreadsheet with ${alerts.str.string('--csv services.csv')}.`);
+
+    process.exit(1);
+  }
+
+  let rows = csv.parse(fs.readFileSync(file, 'utf8'));
+  let header = rows.shift() || [];
+
+  merge(file, rows.map((cells, i) => {
+    let record = {};
+
+    header.forEach((column, c) => {
+      if (column) record[column] = cells[c] || '';
+    });
+
+    return {record: record, line: `row ${i + 2}`};
+  }));
+};
+
+/**
+ * The default directory of the Open Referral (HSDS) package
+ *
+ * @type {String}
+ */
+const HSDS = 'dist/data/hsds';
+
+/**
+ * Write the services as an Open Referral Human Services Data Specification
+ * (HSDS) package with the nested services.json, a CSV for each table, and a
+ * datapackage.json
+ */
+const hsdsExport = () => {
+  let dir = flag('dir') || HSDS;
+  let files = hsds.write(hsds.tables(services, pkg.homepage), dir);
+
+  cnsl.success(`${alerts.str.path(dir)} was made with ${files.length} files for HSDS ${hsds.version}.`);
+};
+
+/**
+ * Import the services of an HSDS package. Services are matched to content
+ * files by the id the export gives them or their name. The fields that can't
+ * be mapped to a content file are reported with each service. See merge() for
+ * how the rows are written.
+ */
+const hsdsImport = () => {
+  let dir = flag('dir') || HSDS;
+
+  if (!fs.existsSync(dir)) {
+    cnsl.error(`${alerts.str.path(dir)} does not exist. Set the package with ${alerts.str.string('--dir hsds')}.`);
+
+    process.exit(1);
+  }
+
+  let items;
+
+  try {
+    items = hsds.read(dir);
+  } catch (err) {
+    cnsl.error(`${alerts.str.path(dir)} could not be read. ${err.message}`);
+
+    process.exit(1);
+  }
+
+  merge(dir, items.map((item, i) => {
+    let service = services.find(s => item.id === hsds.uuid('service', s.id)) ||
+      services.find(s => s.title === item.name);
+    let current = (service) ? spreadsheet.row(service.file, services.sections) : {};
+    let mapped = hsds.record(item, service, current);
+
+    if (service) mapped.record.id = String(service.id);
+
+    return {record: mapped.record, line: `service ${i + 1}`, unmapped: mapped.unmapped, missing: mapped.missing};
+  }));
 };
 
 /**
@@ -35,90 +735,32 @@ const card = {
  */
 module.exports = {
   run: async () => {
-    let json = [];
-
-    let cat = []
-    let pop = []
-    let servciesJson = 'dist/data/services.json';
-    let termsJson = 'dist/data/terms.json';
-    let population = 'config/population.json'
-
-    for (let i = services.length - 1; i >= 0; i--) {
-      let service = services[i];
-
-      /**
-       * Create service view
-       */
-      let template = 'src/slm/services/service.slm';
-      let data = fs.readFileSync(template, 'utf8');
-      let slug = createSlug(service.title);
-      let write = `src/views/services/${slug}.slm`;
-
-      data = data
-        .replace(/{{ SERVICE_TITLE }}/g, service.title)
-        .replace('{{ SERVICE_SLUG }}', slug)
-        .replace('{{ SERVICE_DESCRIPTION }}', service.metaDescription ? service.metaDescription : service.subtitle );
-
-      // if (!fs.existsSync(write)) {
-      await fs.writeFileSync(write, data);
-
-      cnsl.success(`${alerts.str.path(write)} was made.`);
-      // } else {
-      // cnsl.error(`${alerts.str.path(write)} already exists.`);
-      // }
-
-      /**
-       * Build card data for services.json
-       */
-
-      let srvc = {};
-
-      Object.keys(card).map((key) => {
-        if (key === 'body') {
-          srvc[key] = service['subtitle'];
-        } else {
-          srvc[key] = service[key];
-        }
-      });
-
-      service.categories.map(category => {
-        category.slug = createSlug(category.name)
-        cat.push(category)
-      })
-
-      service.population.map(people => {
-        people.slug = createSlug(people.name)
-        pop.push(people)
-      })
-
-      json.push(srvc);
+    let command = process.argv[3];
+
+    if (command === 'changelog') return log();
+
+    if (command === 'export') return table();
+
+    if (command === 'import') return update();
+
+    if (command === 'hsds-export') return hsdsExport();
+
+    if (command === 'hsds-import') return hsdsImport();
+
+    if (!check()) {
+      process.exit(1);
     }
 
-    const unique = (arr, key) => [...new Map(arr.map(item => [item[key], item])).values()];
-
-    let terms = [
-      {
-        name: "Type of Support",
-        slug: "cat",
-        programs: unique(cat, 'id')
-      },
-      {
-        name: "People Served",
-        slug: "pop",
-        programs: unique(pop, 'id')
-      }
-    ];
+    review();
 
-    /**
-     * Write the services json
-     */
+    if (command === 'validate') return;
+
+    if (command === 'lint') {
+      if (!tidy()) process.exit(1);
 
-    fs.writeFileSync(servciesJson, JSON.stringify(json));
-    fs.writeFileSync(termsJson, JSON.stringify(terms));
-    // fs.writeFileSync(population, JSON.stringify(unique(pop, 'id')));
+      return;
+    }
 
-    cnsl.success(`${alerts.str.path(servciesJson)} was made.`);
-    cnsl.success(`${alerts.str.path(termsJson)} was made.`);
-    // cnsl.success(`${alerts.str.path(population)} was made.`);
+    await generate();
   },
 };
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Dependencies
+ */
+
+const fs = require('fs');
+const execFileSync = require('child_process').execFileSync;
+const cnsl = require('@nycopportunity/pttrn/bin/util/console');
+const alerts = require('@nycopportunity/pttrn/config/alerts');
+
+const indexed = require('./util/pages').indexed;
+
+const services = require('../config/services');
+const remotes = require('../config/slm').remotes;
+
+/**
+ * Constants
+ */
+
+const SITEMAP = 'dist/sitemap.xml';
+const ROBOTS = 'dist/robots.txt';
+
+/**
+ * Get the date of the last commit that changed a file
+ *
+ * @param   {String}  file  The path of the file
+ *
+ * @return  {String}        The date (YYYY-MM-DD) or false if the file has
+ *                          not been committed
+ */
+const committed = (file) => {
+  try {
+    return execFileSync('git', ['log', '-1', '--format=%cd', '--date=short', '--', file], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim() || false;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Get the pages of the sitemap from the services and taxonomy registries that
+ * the services command writes the views with (see bin/util/pages.js). Each
+ * service and translation page uses the review date of the service or the
+ * date its content file was last committed for the lastmod.
+ *
+ * @param   {String}  root  The site root
+ *
+ * @return  {Array}         The pages ({loc, lastmod})
+ */
+const pages = (root) => indexed(services)
+  .sort((a, b) => a.path.localeCompare(b.path))
+  .map(page => ({
+    loc: `${root}${(page.path === '/') ? '/' : page.path}`,
+    lastmod: (page.service) ? page.service.lastReviewed || committed(page.service.file) : false
+  }));
+
+/**
+ * Write the sitemap. The robots.txt of production points search engines to
+ * it and the robots.txt of other environments disallows every page.
+ */
+const write = () => {
+  let env = process.env.NODE_ENV;
+  let root = remotes[env];
+
+  if (!root) {
+    cnsl.error(`The sitemap needs the address of the site. Set ${alerts.str.string('NODE_ENV')} to an environment in the remotes of ${alerts.str.path('config/slm.js')}.`);
+
+    process.exit(1);
+  }
+
+  let urls = pages(root).map(page => [
+    '  <url>',
+    `    <loc>${page.loc}</loc>`,
+    (page.lastmod) ? `    <lastmod>${page.lastmod}</lastmod>` : false,
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  let robots = (env === 'production') ?
+    ['User-agent: *', 'Allow: /', '', `Sitemap: ${root}/sitemap.xml`] :
+    ['User-agent: *', 'Disallow: /'];
+
+  fs.writeFileSync(SITEMAP, [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n'));
+
+  fs.writeFileSync(ROBOTS, robots.concat('').join('\n'));
+
+  cnsl.success(`${alerts.str.path(SITEMAP)} was made with ${urls.length} pages.`);
+  cnsl.success(`${alerts.str.path(ROBOTS)} was made for ${env}.`);
+};
+
+/**
+ * Export our methods
+ *
+ * @type {Object}
+ */
+module.exports = {
+  run: write
+};
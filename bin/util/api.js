@@ -0,0 +1,181 @@
+/**
+ * Dependencies
+ */
+
+const path = require('path');
+
+const eligibility = require('./eligibility');
+
+const types = require('../../config/sections');
+
+/**
+ * Constants
+ */
+
+const VERSION = 'v1';
+const BASE = `/api/${VERSION}`;
+
+/**
+ * Get a term with the keys that are shared with consumers
+ *
+ * @param   {Object}  term  The term from a registry
+ *
+ * @return  {Object}        The term ({id, name, slug})
+ */
+const term = (term) => ({id: term.id, name: term.name, slug: term.slug});
+
+/**
+ * Get the sections of a service in the order they are on the page. Card
+ * sections have their items, tips have their type, and accordions have their
+ * items. Locations are in the locations key of the service.
+ *
+ * @param   {Object}  service  The service from config/services.js
+ *
+ * @return  {Array}            The sections ({key, title, layout, content})
+ */
+const sections = (service) => service.sections
+  .filter(key => service.body[key])
+  .map(key => {
+    let body = service.body[key];
+    let layout = (types[key]) ? types[key].layout : 'prose';
+    let section = {key: key, title: body.title, layout: layout};
+
+    if (layout === 'cards') {
+      section.items = body.content.map(item => ({
+        type: item.type,
+        title: item.title,
+        body: item.body || '',
+        contacts: item.contacts || []
+      }));
+    } else {
+      section.content = body.content;
+    }
+
+    if (layout === 'tip' && body.type) section.type = body.type;
+
+    if (layout === 'accordion') section.items = body.items;
+
+    return section;
+  });
+
+/**
+ * Get the summary of a service for the list of services
+ *
+ * @param   {Object}  service  The service from config/services.js
+ *
+ * @return  {Object}           The summary
+ */
+const summary = (service) => ({
+  id: service.id,
+  slug: service.slug,
+  title: service.title,
+  subtitle: service.subtitle,
+  status: service.status,
+  page: `/services/${service.slug}`,
+  href: `${BASE}/services/${service.slug}.json`,
+  providers: service.providers.map(p => Object.assign(term(p), {acronym: p.acronym || ''})),
+  categories: service.categories.map(term),
+  population: service.population.map(p => ({id: p.id, name: p.name})),
+  boroughs: [...new Set((service.locations || []).map(l => l.borough.id))],
+  eligible: eligibility.terms(service).map(term),
+  lastReviewed: service.lastReviewed || ''
+});
+
+/**
+ * Get the full detail of a service with its sections, locations, eligibility,
+ * and the text of each translation
+ *
+ * @param   {Object}  service  The service from config/services.js
+ *
+ * @return  {Object}           The detail
+ */
+const detail = (service) => {
+  let translations = {};
+
+  Object.keys(service.translations).forEach(code => {
+    let translation = service.translations[code];
+
+    translations[code] = {
+      title: translation.title,
+      subtitle: translation.subtitle,
+      sections: sections(translation)
+    };
+  });
+
+  return Object.assign(summary(service), {
+    description: service.metaDescription || service.subtitle,
+    programProvider: service.programProvider,
+    sections: sections(service),
+    locations: (service.locations || []).map(l => ({
+      name: l.name || '',
+      address: l.address,
+      borough: term(l.borough),
+      zip: l.zip,
+      phone: l.phone || '',
+      accessibility: l.accessibility || ''
+    })),
+    eligibility: service.eligibility || {},
+    reviewBy: service.reviewBy || '',
+    endDate: service.endDate || '',
+    translations: translations
+  });
+};
+
+/**
+ * Get the terms of each taxonomy that services are filtered by
+ *
+ * @param   {Object}  registries  The list of terms of each taxonomy
+ *
+ * @return  {Object}              The terms of each taxonomy
+ */
+const terms = (registries) => {
+  let taxonomies = {};
+
+  Object.keys(registries).forEach(key => {
+    taxonomies[key] = registries[key].map(t => Object.assign(term(t),
+      (t.description) ? {description: t.description} : {},
+      (t.website) ? {website: t.website} : {}));
+  });
+
+  return taxonomies;
+};
+
+/**
+ * Get the build information and the endpoints of the API
+ *
+ * @param   {String}  version  The version of the build (package.json)
+ * @param   {Number}  count    The number of services
+ *
+ * @return  {Object}           The meta data
+ */
+const meta = (version, count) => ({
+  api: VERSION,
+  version: version,
+  generated: new Date().toISOString(),
+  count: count,
+  endpoints: {
+    services: `${BASE}/services.json`,
+    service: `${BASE}/services/{slug}.json`,
+    terms: `${BASE}/terms.json`,
+    meta: `${BASE}/meta.json`,
+    schema: `${BASE}/schema.json`
+  }
+});
+
+/**
+ * Get the path in dist of an endpoint
+ *
+ * @param   {String}  endpoint  The endpoint (/services/nyc-well.json)
+ *
+ * @return  {String}            The path (dist/api/v1/services/nyc-well.json)
+ */
+const file = (endpoint) => path.join('dist', BASE, endpoint);
+
+module.exports = {
+  version: VERSION,
+  summary: summary,
+  detail: detail,
+  terms: terms,
+  meta: meta,
+  file: file
+};
@@ -0,0 +1,114 @@
+/**
+ * Dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const banners = require('../../config/banners');
+
+/**
+ * Constants
+ */
+
+const ROOT = path.join(__dirname, '../..');
+
+/**
+ * The images of a banner are in the built images or the sources. Sources can
+ * have any extension (a@desktop.psd) but the built images are jpgs.
+ *
+ * @type {Array}
+ */
+const DIRECTORIES = ['dist/img/banners', 'src/img/banners'];
+
+/**
+ * The images each banner needs. The low resolution images load first and
+ * the social image is the preview image of the page.
+ *
+ * @type {Array}
+ */
+const VARIANTS = ['@desktop', '@mobile', '-low@desktop', '-low@mobile', '@social'];
+
+/**
+ * Get the names of the images in the banner directories without their
+ * extensions (a@desktop)
+ *
+ * @param   {String}  directory  The directory relative to the project root
+ *
+ * @return  {Array}              The image names
+ */
+const images = (directory) => (fs.existsSync(path.join(ROOT, directory))) ?
+  fs.readdirSync(path.join(ROOT, directory))
+    .filter(file => !file.startsWith('.'))
+    .map(file => path.basename(file, path.extname(file))) : [];
+
+/**
+ * Get the banner of an image name (a-low@desktop is a)
+ *
+ * @param   {String}  image  The image name
+ *
+ * @return  {String}         The banner
+ */
+const banner = (image) => image.split('@')[0].replace(/-low$/, '');
+
+/**
+ * Check that each key of the banner map is a service or a view and that each
+ * banner has all of its images
+ *
+ * @param   {Array}  services  The list of services from config/services.js
+ *
+ * @return  {Array}            A list of errors containing the file, the path
+ *                             to the invalid value, the title, and a message
+ */
+const check = (services) => {
+  let files = services.map(s => path.basename(s.file, '.md'));
+  let available = [].concat(...DIRECTORIES.map(images));
+  let errors = [];
+
+  Object.keys(banners).forEach(key => {
+    let service = services.find(s => path.basename(s.file, '.md') === key);
+    let title = (service) ? service.title : key;
+
+    if (!files.includes(key) && !fs.existsSync(path.join(ROOT, 'src/views', `${key}.slm`))) {
+      errors.push({
+        file: 'config/banners.js',
+        path: key,
+        title: title,
+        message: `is not the file name of a service in content/services or a view in src/views`
+      });
+    }
+
+    if (!banners[key]) return;
+
+    VARIANTS.filter(variant => !available.includes(`${banners[key]}${variant}`))
+      .forEach(variant => errors.push({
+        file: 'config/banners.js',
+        path: key,
+        title: title,
+        message: `is missing the ${banners[key]}${variant} image in ${DIRECTORIES.join(' or ')}`
+      }));
+  });
+
+  return errors;
+};
+
+/**
+ * Get the banner sources that are not the banner of any page
+ *
+ * @return  {Array}  The paths of the sources relative to the project root
+ */
+const orphans = () => {
+  let used = Object.values(banners).filter(Boolean);
+  let directory = DIRECTORIES[1];
+
+  return (fs.existsSync(path.join(ROOT, directory))) ?
+    fs.readdirSync(path.join(ROOT, directory))
+      .filter(file => !file.startsWith('.'))
+      .filter(file => !used.includes(banner(path.basename(file, path.extname(file)))))
+      .map(file => `${directory}/${file}`) : [];
+};
+
+module.exports = {
+  check: check,
+  orphans: orphans
+};
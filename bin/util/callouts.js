@@ -0,0 +1,146 @@
+/**
+ * Dependencies
+ */
+
+const callouts = require('../../config/callouts');
+const categories = require('../../config/categories.json');
+const population = require('../../config/population.json');
+
+/**
+ * Constants
+ */
+
+const FILE = 'config/callouts.js';
+
+/**
+ * The places on the service page a callout can be shown
+ *
+ * @type {Array}
+ */
+const SLOTS = ['top', 'afterHowToGetInTouch', 'bottom'];
+
+/**
+ * The keys of the include and exclude rules and the ids they can target
+ *
+ * @type {Object}
+ */
+const RULES = {
+  categories: () => categories.map(t => t.id),
+  population: () => population.map(t => t.id),
+  services: (services) => services.map(s => s.id)
+};
+
+/**
+ * Get the ids of a service for a rule key. Services are targeted by their own
+ * id and taxonomy terms can be ids or hydrated terms ({id, name}).
+ *
+ * @param   {Object}  service  The service
+ * @param   {String}  key      The rule key (categories, population, services)
+ *
+ * @return  {Array}            The ids
+ */
+const ids = (service, key) => (key === 'services') ? [service.id] :
+  (service[key] || []).map(term => (typeof term === 'object') ? term.id : term);
+
+/**
+ * Wether any of the rules targets a service
+ *
+ * @param   {Object}   rules    The include or exclude rules
+ * @param   {Object}   service  The service
+ *
+ * @return  {Boolean}
+ */
+const targets = (rules, service) => Object.keys(RULES)
+  .some(key => (rules[key] || []).some(id => ids(service, key).includes(id)));
+
+/**
+ * Wether a callout is shown on a service
+ *
+ * @param   {Object}   callout  The callout
+ * @param   {Object}   service  The service
+ *
+ * @return  {Boolean}
+ */
+const matches = (callout, service) => {
+  let include = callout.include || {};
+  let everywhere = Object.keys(RULES).every(key => !(include[key] || []).length);
+
+  return (everywhere || targets(include, service)) &&
+    !targets(callout.exclude || {}, service);
+};
+
+/**
+ * Get the callouts shown in a slot of a service page
+ *
+ * @param   {Object}  service  The service
+ * @param   {String}  slot     The slot
+ *
+ * @return  {Array}            The callouts in the order of config/callouts.js
+ */
+const select = (service, slot) => callouts
+  .filter(callout => callout.slot === slot && matches(callout, service));
+
+/**
+ * Check that each callout has a unique id, a known slot, a title and content,
+ * and rules that target known ids
+ *
+ * @param   {Array}  services  The list of services from config/services.js
+ *
+ * @return  {Array}            A list of errors containing the file, the path
+ *                             to the invalid value, the title of the callout,
+ *                             and a message
+ */
+const check = (services) => {
+  let errors = [];
+  let seen = [];
+
+  callouts.forEach((callout, i) => {
+    let error = (path, message) => errors.push({
+      file: FILE,
+      path: `[${i}]${path}`,
+      title: callout.title || callout.id,
+      message: message
+    });
+
+    if (!callout.id) {
+      error('.id', 'is required');
+    } else if (seen.includes(callout.id)) {
+      error('.id', `"${callout.id}" is a duplicate of another callout`);
+    }
+
+    seen.push(callout.id);
+
+    if (!SLOTS.includes(callout.slot)) {
+      error('.slot', `"${callout.slot}" is not one of ${SLOTS.join(', ')}`);
+    }
+
+    ['title', 'content'].filter(key => !callout[key])
+      .forEach(key => error(`.${key}`, 'is required'));
+
+    ['include', 'exclude'].filter(rule => callout[rule]).forEach(rule => {
+      Object.keys(callout[rule]).forEach(key => {
+        if (!RULES[key]) {
+          error(`.${rule}.${key}`, `is not one of ${Object.keys(RULES).join(', ')}`);
+
+          return;
+        }
+
+        let known = RULES[key](services);
+
+        (callout[rule][key] || []).forEach((id, j) => {
+          if (known.includes(id)) return;
+
+          error(`.${rule}.${key}[${j}]`, `${id} is not the id of a ${(key === 'services') ?
+            'service in content/services' : `term in the ${key} registry`}`);
+        });
+      });
+    });
+  });
+
+  return errors;
+};
+
+module.exports = {
+  select: select,
+  check: check
+};
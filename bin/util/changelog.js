@@ -0,0 +1,296 @@
+/**
+ * Dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const execFileSync = require('child_process').execFileSync;
+
+const contact = require('./contact');
+
+/**
+ * Constants
+ */
+
+const ROOT = path.join(__dirname, '../..');
+
+/**
+ * Snapshots of the services at a git ref are extracted here. The directory is
+ * inside the project so the snapshot can require the installed dependencies.
+ *
+ * @type {String}
+ */
+const CACHE = path.join(ROOT, 'node_modules/.cache/services-changelog');
+
+/**
+ * The directories needed to load config/services.js at a ref
+ *
+ * @type {Array}
+ */
+const SOURCES = ['bin', 'config', 'content'];
+
+/**
+ * Taxonomies that are compared for each service
+ *
+ * @type {Object}
+ */
+const TAXONOMIES = {
+  categories: 'Categories',
+  population: 'People served',
+  boroughs: 'Boroughs'
+};
+
+/**
+ * Run a git command in the project and return the output. The arguments are
+ * passed to git without a shell so refs can't run other commands.
+ *
+ * @param   {Array}   args  The git arguments
+ *
+ * @return  {String}        The output of the command
+ */
+const git = (args) => execFileSync('git', args, {
+  cwd: ROOT,
+  encoding: 'utf8',
+  stdio: ['ignore', 'pipe', 'pipe']
+}).trim();
+
+/**
+ * Load the services at a git ref. The bin, config, and content directories of
+ * the ref are extracted to the cache and config/services.js is required from
+ * there. Without a ref the services in the working tree are loaded.
+ *
+ * @param   {String}  ref  The git ref (tag, branch, or commit)
+ *
+ * @return  {Array}        The services at the ref
+ */
+const load = (ref) => {
+  if (!ref) return require(path.join(ROOT, 'config/services'));
+
+  let sha;
+
+  try {
+    // Refs that start with a dash would be read as options
+    if (String(ref).startsWith('-')) throw new Error();
+
+    sha = git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  } catch (err) {
+    throw new Error(`"${ref}" is not a commit in this repository.`);
+  }
+
+  let dir = path.join(CACHE, sha);
+  let tar = `${dir}.tar`;
+  let sources = git(['ls-tree', '--name-only', sha]).split('\n')
+    .filter(name => SOURCES.includes(name));
+
+  fs.rmSync(dir, {recursive: true, force: true});
+  fs.mkdirSync(dir, {recursive: true});
+
+  git(['archive', '--format=tar', `--output=${tar}`, sha, ...sources]);
+
+  execFileSync('tar', ['-x', '-f', tar, '-C', dir], {
+    cwd: ROOT,
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  fs.rmSync(tar, {force: true});
+
+  return require(path.join(dir, 'config/services'));
+};
+
+/**
+ * Collect every link in a service. Links are the href keys of contact points
+ * and the href attributes of HTML content.
+ *
+ * @param   {*}       value  The service or a value in it
+ * @param   {Array}   links  The links found so far
+ *
+ * @return  {Array}          The links
+ */
+const collect = (value, links = []) => {
+  if (typeof value === 'string') {
+    let attribute = /href=["']([^"']+)["']/g;
+    let match;
+
+    while ((match = attribute.exec(value)) !== null) links.push(match[1]);
+  } else if (typeof value === 'object' && value !== null) {
+    Object.keys(value).forEach(key => {
+      if (key === 'href' && typeof value[key] === 'string') {
+        links.push(value[key]);
+      } else {
+        collect(value[key], links);
+      }
+    });
+  }
+
+  return links;
+};
+
+/**
+ * Format the number of a tel: or sms: link for display. Vanity numbers
+ * (tel:888NYCWell) are converted to digits.
+ *
+ * @param   {String}  link  The link
+ *
+ * @return  {String}        The formatted number
+ */
+const number = (link) => {
+  let n = contact.digits(link.replace(/^(tel|sms):/, '').replace(/\?.*$/, ''));
+
+  return (contact.nanp(n)) ? contact.format(contact.nanp(n)) : n;
+};
+
+/**
+ * Reduce a service to the values the changelog compares. Services from older
+ * versions of the directory may have inline HTML contacts and taxonomy terms
+ * without ids so only names and links are used.
+ *
+ * @param   {Object}  service  The service
+ *
+ * @return  {Object}           The summary of the service
+ */
+const summarize = (service) => {
+  let links = [...new Set(collect(service.body).concat(collect(service.locations)))];
+  let name = (term) => (typeof term === 'object' && term !== null) ?
+    (term.name || term.id) : term;
+
+  return {
+    title: service.title,
+    file: service.file || false,
+    status: service.status || 'active',
+    numbers: [...new Set(links.filter(l => /^(tel|sms):/.test(l)).map(number))],
+    links: links.filter(l => !/^(tel|sms):/.test(l) && !l.startsWith('#')),
+    categories: (service.categories || []).map(name),
+    population: (service.population || []).map(name),
+    boroughs: [...new Set((service.locations || []).map(l => name(l.borough)))]
+  };
+};
+
+/**
+ * Compare two lists of values
+ *
+ * @param   {Array}   before  The old values
+ * @param   {Array}   after   The new values
+ *
+ * @return  {Object}          added and removed values or false if they are the same
+ */
+const compare = (before, after) => {
+  let added = after.filter(v => !before.includes(v));
+  let removed = before.filter(v => !after.includes(v));
+
+  return (added.length || removed.length) ? {added: added, removed: removed} : false;
+};
+
+/**
+ * Find the changes between two versions of the services. Services are matched
+ * by their content file name. Services from versions without content files
+ * are matched by the slug of their title, which is the name of their content
+ * file when it was created.
+ *
+ * @param   {Array}   from  The old services
+ * @param   {Array}   to    The new services
+ *
+ * @return  {Object}        added, removed, retitled, and changed services
+ */
+const diff = (from, to) => {
+  let slug = (s) => (s.file) ? path.basename(s.file, '.md') : s.title
+    .toLowerCase()
+    .replace(/[^0-9a-zA-Z - _]+/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-');
+
+  let before = from.map(summarize);
+  let after = to.map(summarize);
+
+  let changes = {
+    added: [],
+    removed: [],
+    retitled: [],
+    changed: []
+  };
+
+  before.forEach((old, i) => {
+    let index = to.findIndex(s => slug(s) === slug(from[i]));
+
+    if (index === -1) {
+      index = to.findIndex(s => s.title === old.title);
+    }
+
+    if (index === -1) {
+      changes.removed.push({title: old.title});
+
+      return;
+    }
+
+    let current = after[index];
+    let change = {title: current.title, file: current.file};
+
+    if (old.title !== current.title) {
+      changes.retitled.push({from: old.title, to: current.title, file: current.file});
+    }
+
+    if (old.status !== current.status) {
+      change.status = {from: old.status, to: current.status};
+    }
+
+    ['numbers', 'links'].concat(Object.keys(TAXONOMIES)).forEach(key => {
+      let compared = compare(old[key], current[key]);
+
+      if (compared) change[key] = compared;
+    });
+
+    if (Object.keys(change).length > 2) changes.changed.push(change);
+
+    current.matched = true;
+  });
+
+  changes.added = after.filter(s => !s.matched)
+    .map(s => ({title: s.title, file: s.file}));
+
+  return changes;
+};
+
+/**
+ * Write the changes as a Markdown list for release notes
+ *
+ * @param   {Object}  changes  The changes from diff()
+ * @param   {String}  from     The name of the old version
+ * @param   {String}  to       The name of the new version
+ *
+ * @return  {String}           The Markdown
+ */
+const markdown = (changes, from, to) => {
+  let lines = [`# Content changes from ${from} to ${to}`, ''];
+  let list = (label, compared) => [
+    (compared.added.length) ? `added ${compared.added.join(', ')}` : false,
+    (compared.removed.length) ? `removed ${compared.removed.join(', ')}` : false
+  ].filter(Boolean).join('; ').replace(/^/, `  - ${label}: `);
+
+  let section = (title, items) => {
+    if (!items.length) return;
+
+    lines.push(`## ${title}`, '', ...items, '');
+  };
+
+  section('Added services', changes.added.map(s => `- ${s.title}`));
+  section('Removed services', changes.removed.map(s => `- ${s.title}`));
+  section('Retitled services', changes.retitled.map(s => `- ${s.from} → ${s.to}`));
+
+  section('Changed services', changes.changed.map(s => [
+    `- ${s.title}`,
+    (s.status) ? `  - Status: ${s.status.from} → ${s.status.to}` : false,
+    (s.numbers) ? list('Phone numbers', s.numbers) : false,
+    (s.links) ? list('Links', s.links) : false
+  ].concat(Object.keys(TAXONOMIES).map(key => (s[key]) ? list(TAXONOMIES[key], s[key]) : false))
+    .filter(Boolean).join('\n')));
+
+  if (lines.length === 2) lines.push('No content changes.', '');
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  load: load,
+  summarize: summarize,
+  diff: diff,
+  markdown: markdown
+};
@@ -0,0 +1,41 @@
+/**
+ * Get the services featured for a population in the order of the collection.
+ * Services are ordered by the order of their featured entry and then by the
+ * order of the services. Retired services are left out.
+ *
+ * @param   {Array}   services  The list of services from config/services.js
+ * @param   {Number}  id        The population id
+ *
+ * @return  {Array}             The featured services
+ */
+const featured = (services, id) => services
+  .filter(s => s.status !== 'retired')
+  .map((s, index) => ({
+    service: s,
+    entry: (s.featured || []).find(f => f.id === id),
+    index: index
+  }))
+  .filter(f => f.entry)
+  .sort((a, b) => ((a.entry.order || Infinity) - (b.entry.order || Infinity)) ||
+    (a.index - b.index))
+  .map(f => f.service);
+
+/**
+ * Get the position of a service in each collection it is featured in
+ *
+ * @param   {Object}  service   The service
+ * @param   {Array}   services  The list of services from config/services.js
+ *
+ * @return  {Array}             The featured entries ({id, name, order}) where
+ *                              order starts at 1
+ */
+const positions = (service, services) => (service.featured || []).map(f => ({
+  id: f.id,
+  name: f.name,
+  order: featured(services, f.id).indexOf(service) + 1
+}));
+
+module.exports = {
+  featured: featured,
+  positions: positions
+};
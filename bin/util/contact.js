@@ -0,0 +1,179 @@
+/**
+ * Dependencies
+ */
+
+const strings = require('./strings');
+
+/**
+ * Contact point types and the key that holds the value for each
+ *
+ * @type {Object}
+ */
+const TYPES = {
+  phone: 'number',
+  sms: 'number',
+  chat: 'url',
+  website: 'url',
+  address: 'address',
+  email: 'email'
+};
+
+/**
+ * Letters on a phone keypad for converting vanity numbers to digits
+ *
+ * @type {Object}
+ */
+const KEYPAD = {
+  2: 'abc',
+  3: 'def',
+  4: 'ghi',
+  5: 'jkl',
+  6: 'mno',
+  7: 'pqrs',
+  8: 'tuv',
+  9: 'wxyz'
+};
+
+/**
+ * Convert a vanity number (888-NYC-WELL) to digits (8886929355)
+ *
+ * @param   {String}  vanity  The vanity number
+ *
+ * @return  {String}          The digits of the number
+ */
+const digits = (vanity) => vanity.toLowerCase()
+  .replace(/[^0-9a-z]/g, '')
+  .split('')
+  .map(c => Object.keys(KEYPAD).find(k => KEYPAD[k].includes(c)) || c)
+  .join('');
+
+/**
+ * Normalize a North American Numbering Plan number to 10 digits. Three digit
+ * service codes (311, 911, and 988) are returned as is.
+ *
+ * @param   {String}  number  The phone number in any format
+ *
+ * @return  {String}          The normalized number or false if it is invalid
+ */
+const nanp = (number) => {
+  let n = String(number).replace(/\D/g, '');
+
+  if (n.length === 11 && n[0] === '1') n = n.slice(1);
+
+  if (/^([2-9]11|988)$/.test(n)) return n;
+
+  // NPA (area code) and NXX (exchange) can not start with 0 or 1 or be N11
+  if (!/^[2-9][0-8]\d[2-9]\d{6}$/.test(n)) return false;
+
+  if (/11$/.test(n.slice(0, 3)) || /11$/.test(n.slice(3, 6))) return false;
+
+  return n;
+};
+
+/**
+ * Format a normalized number for display (888-692-9355)
+ *
+ * @param   {String}  n  The normalized number
+ *
+ * @return  {String}     The formatted number
+ */
+const format = (n) => (n.length === 10) ?
+  `${n.slice(0, 3)}-${n.slice(3, 6)}-${n.slice(6)}` : n;
+
+/**
+ * Check a contact point for the required value of its type, a valid NANP
+ * phone number, an SMS short code, and a vanity number that matches. Used by
+ * the schema in config/schema.js.
+ *
+ * @param   {Object}  contact  The contact point
+ *
+ * @return  {String}           An error message or false
+ */
+const check = (contact) => {
+  let key = TYPES[contact.type];
+
+  if (!key) return false; // the type is checked by the schema enum
+
+  if (!contact[key]) return `a ${contact.type} contact needs a ${key}`;
+
+  if (contact.type === 'phone') {
+    let n = nanp(contact.number);
+
+    if (!n) return `"${contact.number}" is not a valid NANP phone number`;
+
+    if (contact.vanity && nanp(digits(contact.vanity)) !== n) {
+      return `the vanity number "${contact.vanity}" does not match "${contact.number}"`;
+    }
+  }
+
+  if (contact.type === 'sms' && !nanp(contact.number) &&
+    !/^\d{5,6}$/.test(String(contact.number).replace(/\D/g, ''))) {
+    return `"${contact.number}" is not a valid NANP phone number or SMS short code`;
+  }
+
+  return false;
+};
+
+/**
+ * Add the href and display text to a contact point. Phone and SMS contacts
+ * display the number (with the vanity number if there is one) and the label
+ * is shown as a caption. Other contacts display the label as the link text.
+ *
+ * @param   {Object}    contact  The contact point
+ * @param   {Function}  t        Translates the display text (optional)
+ *
+ * @return  {Object}             The contact point with href, display, and caption
+ */
+const href = (contact, t = (s, vars) => strings.translate({}, s, vars)) => {
+  let n = (contact.number) ? nanp(contact.number) ||
+    String(contact.number).replace(/\D/g, '') : '';
+
+  switch (contact.type) {
+    case 'phone':
+      contact.href = (n.length === 10) ? `tel:+1${n}` : `tel:${n}`;
+      contact.display = (contact.vanity) ?
+        `${contact.vanity} (${format(n)})` : format(n);
+      contact.caption = contact.label || false;
+
+      break;
+
+    case 'sms':
+      contact.href = (contact.keyword) ?
+        `sms:${n}?body=${encodeURIComponent(contact.keyword)}` : `sms:${n}`;
+      contact.display = (contact.keyword) ?
+        t('Text {keyword} to {number}', {keyword: contact.keyword, number: format(n)}) : format(n);
+      contact.caption = contact.label || false;
+
+      break;
+
+    case 'email':
+      contact.href = `mailto:${contact.email}`;
+      contact.display = contact.label || contact.email;
+      contact.caption = false;
+
+      break;
+
+    case 'address':
+      contact.href = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(contact.address)}`;
+      contact.display = contact.label || contact.address;
+      contact.caption = false;
+
+      break;
+
+    default:
+      contact.href = contact.url;
+      contact.display = contact.label || String(contact.url).replace(/^https?:\/\/(www\.)?/, '');
+      contact.caption = false;
+  }
+
+  return contact;
+};
+
+module.exports = {
+  types: Object.keys(TYPES),
+  digits: digits,
+  nanp: nanp,
+  format: format,
+  check: check,
+  href: href
+};
@@ -0,0 +1,111 @@
+/**
+ * Dependencies
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const marked = require('marked');
+
+/**
+ * Options for rendering Markdown. Heading ids are left off so headings match
+ * the HTML written by hand in content files.
+ *
+ * @type {Object}
+ */
+const MARKED = {
+  headerIds: false
+};
+
+/**
+ * Matches the YAML front matter at the top of a content file
+ *
+ * @type {RegExp}
+ */
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * Split Markdown into a list of sections at each heading of a level. Text
+ * before the first heading is returned as the content of an untitled section.
+ *
+ * @param   {String}  markdown  The Markdown to split
+ * @param   {Number}  level     The heading level to split at (2 for ##)
+ *
+ * @return  {Array}             List of sections ({title, content})
+ */
+const split = (markdown, level) => {
+  let heading = new RegExp(`^${'#'.repeat(level)} +(.+?) *#* *$`);
+  let sections = [{title: false, content: []}];
+
+  markdown.split(/\r?\n/).forEach(line => {
+    let match = heading.exec(line);
+
+    if (match) {
+      sections.push({title: match[1], content: []});
+    } else {
+      sections[sections.length - 1].content.push(line);
+    }
+  });
+
+  return sections.map(s => ({title: s.title, content: s.content.join('\n').trim()}));
+};
+
+/**
+ * Render Markdown to HTML. HTML blocks in the Markdown are passed through.
+ *
+ * @param   {String}  markdown  The Markdown to render
+ *
+ * @return  {String}            The HTML
+ */
+const html = (markdown) => marked(markdown, MARKED).trim();
+
+/**
+ * Parse the text of a content file with YAML front matter. The core schema is
+ * used so dates (2026-03-04) are read as strings instead of Date objects.
+ *
+ * @param   {String}  data  The text of the file
+ * @param   {String}  file  The path to the file for error messages
+ *
+ * @return  {Object}        attributes - the parsed front matter,
+ *                          front - the YAML of the front matter,
+ *                          body - the Markdown after the front matter
+ */
+const parse = (data, file) => {
+  let match = FRONT_MATTER.exec(data);
+
+  if (!match) throw new Error(`${file} does not start with YAML front matter.`);
+
+  return {
+    attributes: yaml.safeLoad(match[1], {filename: file, schema: yaml.CORE_SCHEMA}) || {},
+    front: match[1],
+    body: data.slice(match[0].length)
+  };
+};
+
+/**
+ * Read a content file with YAML front matter. See parse().
+ *
+ * @param   {String}  file  The path to the file
+ *
+ * @return  {Object}        The parsed file
+ */
+const read = (file) => parse(fs.readFileSync(file, 'utf8'), file);
+
+/**
+ * Read a YAML data file. Uses the same schema as front matter.
+ *
+ * @param   {String}  file  The path to the file
+ *
+ * @return  {Object}        The parsed data
+ */
+const data = (file) => yaml.safeLoad(fs.readFileSync(file, 'utf8'), {
+  filename: file,
+  schema: yaml.CORE_SCHEMA
+}) || {};
+
+module.exports = {
+  parse: parse,
+  read: read,
+  data: data,
+  split: split,
+  html: html
+};
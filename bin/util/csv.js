@@ -0,0 +1,65 @@
+/**
+ * Write a list of rows as CSV. Values with commas, quotes, or line breaks are
+ * quoted.
+ *
+ * @param   {Array}   rows  A list of rows, each a list of values
+ *
+ * @return  {String}        The CSV
+ */
+const stringify = (rows) => rows.map(row => row.map(value => {
+  let cell = (value === undefined || value === null) ? '' : String(value);
+
+  return (/[",\r\n]/.test(cell)) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}).join(',')).join('\n') + '\n';
+
+/**
+ * Read CSV into a list of rows. Quoted values can have commas, escaped quotes
+ * (""), and line breaks. Line breaks in values are normalized to \n.
+ *
+ * @param   {String}  text  The CSV
+ *
+ * @return  {Array}         A list of rows, each a list of values
+ */
+const parse = (text) => {
+  let rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  text = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      rows.push(row.concat(cell));
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) rows.push(row.concat(cell));
+
+  return rows.filter(r => r.some(value => value !== ''));
+};
+
+module.exports = {
+  stringify: stringify,
+  parse: parse
+};
@@ -0,0 +1,61 @@
+/**
+ * The time zone used to decide what day it is
+ *
+ * @type {String}
+ */
+const TIMEZONE = 'America/New_York';
+
+/**
+ * Check that a string is a real date in YYYY-MM-DD format
+ *
+ * @param   {String}   date  The date to check
+ *
+ * @return  {Boolean}        Wether the date is valid
+ */
+const valid = (date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+
+  let d = new Date(`${date}T00:00:00Z`);
+
+  return !isNaN(d) && d.toISOString().slice(0, 10) === date;
+};
+
+/**
+ * Get today's date in New York
+ *
+ * @return  {String}  The date in YYYY-MM-DD format
+ */
+const today = () => {
+  let parts = {};
+
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date()).forEach(p => parts[p.type] = p.value);
+
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Format a date for display (2026-03-04 → March 4, 2026)
+ *
+ * @param   {String}  date    The date in YYYY-MM-DD format
+ * @param   {String}  locale  The language to write the date in
+ *
+ * @return  {String}          The formatted date
+ */
+const format = (date, locale = 'en-US') => new Date(`${date}T00:00:00Z`)
+  .toLocaleDateString(locale, {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+module.exports = {
+  valid: valid,
+  today: today,
+  format: format
+};
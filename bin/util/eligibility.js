@@ -0,0 +1,108 @@
+/**
+ * Dependencies
+ */
+
+const registry = require('../../config/eligibility.json');
+
+/**
+ * Kinds of coverage a service can take. "none" means people without insurance
+ * can use the service.
+ *
+ * @type {Array}
+ */
+const INSURANCE = ['none', 'medicaid', 'medicare', 'private'];
+
+/**
+ * How a service matches each eligibility filter in config/eligibility.json
+ * that is not an age range. Requirements that aren't set are unknown so the
+ * service does not match their filter. "No insurance needed" is for services
+ * that say people without insurance can use them (such as a sliding scale),
+ * not services that are free, which the cost of the service already shows.
+ *
+ * @type {Object}
+ */
+const RULES = {
+  'no-insurance-needed': (e) => e.insurance.includes('none'),
+  'medicaid': (e) => e.insurance.includes('medicaid'),
+  'medicare': (e) => e.insurance.includes('medicare'),
+  'private-insurance': (e) => e.insurance.includes('private'),
+  'immigration-status-not-required': (e) => e.immigrationStatusRequired === false,
+  'nyc-residency-not-required': (e) => e.residencyRequired === false,
+  'no-referral-needed': (e) => e.referralRequired === false
+};
+
+/**
+ * Wether two age ranges overlap. Ranges without a min start at 0 and ranges
+ * without a max have no limit.
+ *
+ * @param   {Object}   a  The first range ({min, max})
+ * @param   {Object}   b  The second range ({min, max})
+ *
+ * @return  {Boolean}
+ */
+const overlap = (a, b) => (a.min || 0) <= ((b.max === undefined) ? Infinity : b.max) &&
+  (b.min || 0) <= ((a.max === undefined) ? Infinity : a.max);
+
+/**
+ * Get the eligibility filters a service matches. Services without an age
+ * range match every age filter.
+ *
+ * @param   {Object}  service  The service
+ *
+ * @return  {Array}            The terms of the filters from the registry
+ */
+const terms = (service) => {
+  let e = Object.assign({insurance: [], ages: {}}, service.eligibility);
+
+  return registry.filter(term => (term.ages) ? overlap(e.ages, term.ages) :
+    RULES[term.slug](e, service)).map(term => Object.assign({}, term));
+};
+
+/**
+ * Get the eligibility filters that narrow down a list of services. Filters
+ * that match every service or none of them are left out.
+ *
+ * @param   {Array}  services  The services
+ *
+ * @return  {Array}            The terms of the filters from the registry
+ */
+const filters = (services) => registry.filter(term => {
+  let count = services.filter(s => terms(s).some(t => t.id === term.id)).length;
+
+  return count > 0 && count < services.length;
+});
+
+/**
+ * Describe the age range of a service (Ages 13 to 24, Ages 18 and older)
+ *
+ * @param   {Object}  ages  The age range ({min, max})
+ *
+ * @return  {String}        The description or false if there is no range
+ */
+const ages = (ages) => {
+  if (!ages || (ages.min === undefined && ages.max === undefined)) return false;
+
+  if (ages.max === undefined) return `Ages ${ages.min} and older`;
+
+  if (!ages.min) return `Ages ${ages.max} and under`;
+
+  return `Ages ${ages.min} to ${ages.max}`;
+};
+
+/**
+ * Check that a range is a valid range of ages
+ *
+ * @param   {Object}  range  The age range ({min, max})
+ *
+ * @return  {String}         An error message or false
+ */
+const check = (range) => (range.min !== undefined && range.max !== undefined &&
+  range.min > range.max) ? `the min age ${range.min} is more than the max age ${range.max}` : false;
+
+module.exports = {
+  insurance: INSURANCE,
+  terms: terms,
+  filters: filters,
+  ages: ages,
+  check: check
+};
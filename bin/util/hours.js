@@ -0,0 +1,188 @@
+/**
+ * Dependencies
+ */
+
+const dates = require('./dates');
+
+/**
+ * Days of the week in the order they are displayed
+ *
+ * @type {Array}
+ */
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * Display names for each day of the week
+ *
+ * @type {Object}
+ */
+const NAMES = {
+  mon: 'Monday',
+  tue: 'Tuesday',
+  wed: 'Wednesday',
+  thu: 'Thursday',
+  fri: 'Friday',
+  sat: 'Saturday',
+  sun: 'Sunday'
+};
+
+/**
+ * The time zone hours are written in unless the hours specify another
+ *
+ * @type {String}
+ */
+const TIMEZONE = 'America/New_York';
+
+/**
+ * Convert a 24 hour time (08:30) to minutes after midnight. Closing times may
+ * be written as 24:00 for midnight at the end of the day.
+ *
+ * @param   {String}  time  The time in HH:MM format
+ *
+ * @return  {Number}        Minutes after midnight or false if it is invalid
+ */
+const minutes = (time) => {
+  let match = /^(\d{2}):(\d{2})$/.exec(time);
+
+  if (!match) return false;
+
+  let m = parseInt(match[1]) * 60 + parseInt(match[2]);
+
+  return (parseInt(match[2]) < 60 && m <= 24 * 60) ? m : false;
+};
+
+/**
+ * Format a 24 hour time for display (08:00 → 8am, 13:30 → 1:30pm)
+ *
+ * @param   {String}  value  The time in HH:MM format
+ *
+ * @return  {String}         The formatted time
+ */
+const time = (value) => {
+  let m = minutes(value) % (24 * 60);
+  let h = Math.floor(m / 60);
+  let suffix = (h < 12) ? 'am' : 'pm';
+
+  h = (h % 12) || 12;
+
+  return (m % 60) ? `${h}:${String(m % 60).padStart(2, '0')}${suffix}` :
+    `${h}${suffix}`;
+};
+
+/**
+ * Format a list of days for display. Three or more consecutive days are
+ * written as a span (Monday – Friday) and all seven days as "Every day".
+ *
+ * @param   {Array}     list  List of day keys (mon, tue, ...)
+ * @param   {Function}  t     Translates the names of days (optional)
+ *
+ * @return  {String}          The formatted list of days
+ */
+const days = (list, t = (s) => s) => {
+  let sorted = DAYS.filter(d => list.includes(d));
+  let runs = [];
+
+  if (sorted.length === DAYS.length) return t('Every day');
+
+  sorted.forEach(d => {
+    let run = runs[runs.length - 1];
+
+    if (run && DAYS.indexOf(d) === DAYS.indexOf(run[run.length - 1]) + 1) {
+      run.push(d);
+    } else {
+      runs.push([d]);
+    }
+  });
+
+  return runs.map(run => (run.length > 2) ?
+    `${t(NAMES[run[0]])} – ${t(NAMES[run[run.length - 1]])}` :
+    run.map(d => t(NAMES[d])).join(', ')).join(', ');
+};
+
+/**
+ * Check hours for a 24/7 flag or weekly hours, valid opening and closing
+ * times, and exceptions on real dates. Used by the schema in config/schema.js.
+ *
+ * @param   {Object}  hours  The hours of a contact point
+ *
+ * @return  {String}         An error message or false
+ */
+const check = (hours) => {
+  let weekly = hours.weekly || [];
+  let exceptions = hours.exceptions || [];
+
+  if (!hours.always && weekly.length === 0) {
+    return 'needs "always: true" or a list of weekly hours';
+  }
+
+  if (hours.always && weekly.length > 0) {
+    return 'can not be open always and have weekly hours';
+  }
+
+  if (hours.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', {timeZone: hours.timezone});
+    } catch (err) {
+      return `"${hours.timezone}" is not a valid time zone`;
+    }
+  }
+
+  for (let i = 0; i < exceptions.length; i++) {
+    if (!dates.valid(exceptions[i].date)) {
+      return `the exception date "${exceptions[i].date}" should be a date in YYYY-MM-DD format`;
+    }
+
+    if (!exceptions[i].closed && !(exceptions[i].open && exceptions[i].close)) {
+      return `the exception on ${exceptions[i].date} needs "closed: true" or opening and closing times`;
+    }
+  }
+
+  let ranges = weekly.concat(exceptions.filter(e => !e.closed));
+
+  for (let i = 0; i < ranges.length; i++) {
+    let open = minutes(ranges[i].open);
+    let close = minutes(ranges[i].close);
+
+    if (open === false || open === 24 * 60) {
+      return `the opening time "${ranges[i].open}" should be between 00:00 and 23:59`;
+    }
+
+    if (close === false) {
+      return `the closing time "${ranges[i].close}" should be between 00:00 and 24:00`;
+    }
+
+    if (open === close) {
+      return `the opening and closing times are both "${ranges[i].open}"`;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Describe hours for display (Open 24/7, Monday – Friday, 9am – 5pm)
+ *
+ * @param   {Object}    hours  The hours of a contact point
+ * @param   {Function}  t      Translates the description (optional)
+ *
+ * @return  {String}           The description of the hours
+ */
+const text = (hours, t = (s) => s) => {
+  if (hours.always) return t('Open 24/7');
+
+  return hours.weekly.map(range => {
+    let times = (minutes(range.open) === 0 && minutes(range.close) === 24 * 60) ?
+      t('24 hours') : `${time(range.open)} – ${time(range.close)}`;
+
+    return `${days(range.days, t)}, ${times}`;
+  }).join('; ');
+};
+
+module.exports = {
+  days: DAYS,
+  timezone: TIMEZONE,
+  minutes: minutes,
+  time: time,
+  check: check,
+  text: text
+};
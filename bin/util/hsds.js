@@ -0,0 +1,677 @@
+/**
+ * Dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const csv = require('./csv');
+const contact = require('./contact');
+const eligibility = require('./eligibility');
+const hours = require('./hours');
+
+const categories = require('../../config/categories.json');
+const population = require('../../config/population.json');
+const boroughs = require('../../config/boroughs.json');
+const providers = require('../../config/providers.json');
+const requirements = require('../../config/eligibility.json');
+
+/**
+ * Constants
+ */
+
+const VERSION = '3.0';
+const NAMESPACE = 'mental-health-for-all';
+
+/**
+ * The tables of the Open Referral Human Services Data Specification (HSDS)
+ * that services are mapped to and the fields of each table that are written.
+ * Tables are written in this order.
+ *
+ * @type {Object}
+ */
+const TABLES = {
+  organization: ['id', 'name', 'alternate_name', 'description', 'email', 'website'],
+  service: ['id', 'organization_id', 'name', 'alternate_name', 'description', 'url',
+    'email', 'status', 'fees_description', 'eligibility_description', 'minimum_age',
+    'maximum_age', 'assured_date'],
+  location: ['id', 'location_type', 'organization_id', 'name', 'description'],
+  address: ['id', 'location_id', 'address_1', 'address_2', 'city', 'region',
+    'state_province', 'postal_code', 'country', 'address_type'],
+  service_at_location: ['id', 'service_id', 'location_id'],
+  phone: ['id', 'location_id', 'service_id', 'number', 'type', 'description'],
+  language: ['id', 'service_id', 'location_id', 'phone_id', 'name', 'code'],
+  url: ['id', 'label', 'url', 'service_id'],
+  schedule: ['id', 'service_id', 'freq', 'byday', 'opens_at', 'closes_at', 'description', 'notes'],
+  accessibility: ['id', 'location_id', 'description'],
+  taxonomy: ['id', 'name', 'description'],
+  taxonomy_term: ['id', 'code', 'name', 'description', 'taxonomy_id'],
+  attribute: ['id', 'link_id', 'link_type', 'link_entity', 'taxonomy_term_id', 'value']
+};
+
+/**
+ * The registries that are written as HSDS taxonomies. Services are linked to
+ * their terms with attributes. Providers are a taxonomy too because an HSDS
+ * service only has one organization.
+ *
+ * @type {Array}
+ */
+const TAXONOMIES = [
+  {key: 'categories', name: 'Type of Support', terms: categories},
+  {key: 'population', name: 'People Served', terms: population},
+  {key: 'eligibility', name: 'Eligibility', terms: requirements},
+  {key: 'providers', name: 'Provider', terms: providers}
+];
+
+/**
+ * Statuses of services and their HSDS status
+ *
+ * @type {Object}
+ */
+const STATUS = {
+  active: 'active',
+  paused: 'temporarily closed',
+  retired: 'inactive'
+};
+
+/**
+ * Days of the week and their iCalendar (RFC 5545) code
+ *
+ * @type {Object}
+ */
+const BYDAY = {mon: 'MO', tue: 'TU', wed: 'WE', thu: 'TH', fri: 'FR', sat: 'SA', sun: 'SU'};
+
+/**
+ * Create a stable UUID for a record. The same keys always make the same UUID
+ * so exports can be compared and imports can find the service they came from.
+ *
+ * @param   {...String}  keys  The type of record and its keys (service, 2)
+ *
+ * @return  {String}           The UUID (version 5 format)
+ */
+const uuid = (...keys) => {
+  let h = crypto.createHash('sha1').update([NAMESPACE].concat(keys).join(':')).digest('hex');
+
+  return [h.slice(0, 8), h.slice(8, 12), `5${h.slice(13, 16)}`,
+    `${(8 | (parseInt(h[16], 16) & 3)).toString(16)}${h.slice(17, 20)}`, h.slice(20, 32)].join('-');
+};
+
+/**
+ * Remove the tags from HTML
+ *
+ * @param   {String}  html  The HTML
+ *
+ * @return  {String}        The text
+ */
+const text = (html) => String(html || '').replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/\s+/g, ' ').trim();
+
+/**
+ * Get the schedules of the hours of a contact point
+ *
+ * @param   {Object}  c      The contact point
+ * @param   {String}  label  The description of the schedule
+ *
+ * @return  {Array}          The schedules ({freq, byday, opens_at, closes_at, description, notes})
+ */
+const schedules = (c, label) => {
+  if (!c.hours) return [];
+
+  let weekly = (c.hours.always) ?
+    [{days: hours.days, open: '00:00', close: '23:59'}] : c.hours.weekly || [];
+
+  return weekly.map(w => ({
+    freq: 'WEEKLY',
+    byday: w.days.map(d => BYDAY[d]).join(','),
+    opens_at: w.open,
+    closes_at: w.close,
+    description: label,
+    notes: c.hours.note || ''
+  }));
+};
+
+/**
+ * Map services to HSDS tables. Providers are organizations, phone and SMS
+ * contacts are phones, website and chat contacts are urls, the hours of
+ * contacts are schedules of the service, and locations are locations with an
+ * address. Categories, populations, eligibility filters, and providers are
+ * taxonomy terms linked to services with attributes.
+ *
+ * @param   {Array}   services  The list of services from config/services.js
+ * @param   {String}  site      The address of the site for the url of services
+ *
+ * @return  {Object}            The rows of each table
+ */
+const tables = (services, site) => {
+  let data = {};
+  let add = (table, values) => data[table].push(values);
+
+  Object.keys(TABLES).forEach(table => data[table] = []);
+
+  TAXONOMIES.forEach(taxonomy => {
+    add('taxonomy', {id: uuid('taxonomy', taxonomy.key), name: taxonomy.name, description: ''});
+
+    taxonomy.terms.forEach(term => add('taxonomy_term', {
+      id: uuid(taxonomy.key, term.id),
+      code: term.slug,
+      name: term.name,
+      description: term.description || '',
+      taxonomy_id: uuid('taxonomy', taxonomy.key)
+    }));
+  });
+
+  providers.forEach(p => add('organization', {
+    id: uuid('organization', p.id),
+    name: p.name,
+    alternate_name: p.acronym || '',
+    description: p.description,
+    email: '',
+    website: p.website
+  }));
+
+  services.forEach(service => {
+    let id = uuid('service', service.id);
+    let organization = (service.providers.length) ? uuid('organization', service.providers[0].id) : '';
+    let items = (service.body.howToGetInTouch && Array.isArray(service.body.howToGetInTouch.content)) ?
+      service.body.howToGetInTouch.content : [];
+    let contacts = [].concat(...items.map(item => (item.contacts || [])
+      .map(c => ({contact: c, title: item.title}))));
+    let email = contacts.find(c => c.contact.type === 'email');
+    let ages = (service.eligibility || {}).ages || {};
+
+    add('service', {
+      id: id,
+      organization_id: organization,
+      name: service.title,
+      alternate_name: '',
+      description: service.subtitle,
+      url: `${site}/services/${service.slug}`,
+      email: (email) ? email.contact.email : '',
+      status: STATUS[service.status],
+      fees_description: (service.body.cost) ? text(service.body.cost.content) : '',
+      eligibility_description: eligibility.ages(ages) || '',
+      minimum_age: (ages.min !== undefined) ? ages.min : '',
+      maximum_age: (ages.max !== undefined) ? ages.max : '',
+      assured_date: service.lastReviewed || ''
+    });
+
+    contacts.forEach(({contact: c, title: title}) => {
+      let label = c.label || title;
+
+      if (['phone', 'sms'].includes(c.type)) {
+        let phone = uuid('phone', service.id, c.type, c.href);
+
+        if (data.phone.some(p => p.id === phone)) return;
+
+        add('phone', {
+          id: phone,
+          location_id: '',
+          service_id: id,
+          number: contact.nanp(c.number) ? contact.format(contact.nanp(c.number)) : String(c.number),
+          type: (c.type === 'sms') ? 'text' : 'voice',
+          description: label
+        });
+
+        (c.languages || []).forEach(code => add('language', {
+          id: uuid('language', phone, code),
+          service_id: '',
+          location_id: '',
+          phone_id: phone,
+          name: '',
+          code: code
+        }));
+      } else if (['website', 'chat'].includes(c.type) && c.url) {
+        let url = uuid('url', service.id, c.url);
+
+        if (!data.url.some(u => u.id === url)) {
+          add('url', {id: url, label: label, url: c.url, service_id: id});
+        }
+      }
+
+      schedules(c, `${label} (${c.display || c.url || ''})`).forEach((s, i) => add('schedule',
+        Object.assign({id: uuid('schedule', service.id, c.type, c.href, i), service_id: id}, s)));
+    });
+
+    (service.locations || []).forEach((l, i) => {
+      let location = uuid('location', service.id, i);
+
+      add('location', {
+        id: location,
+        location_type: 'physical',
+        organization_id: organization,
+        name: l.name || '',
+        description: ''
+      });
+
+      add('address', {
+        id: uuid('address', service.id, i),
+        location_id: location,
+        address_1: l.address,
+        address_2: '',
+        city: l.borough.name || '',
+        region: '',
+        state_province: 'NY',
+        postal_code: l.zip,
+        country: 'US',
+        address_type: 'physical'
+      });
+
+      add('service_at_location', {
+        id: uuid('service_at_location', service.id, i),
+        service_id: id,
+        location_id: location
+      });
+
+      if (l.phone) {
+        add('phone', {
+          id: uuid('phone', service.id, 'location', i),
+          location_id: location,
+          service_id: '',
+          number: l.phone,
+          type: 'voice',
+          description: l.name || ''
+        });
+      }
+
+      if (l.accessibility) {
+        add('accessibility', {
+          id: uuid('accessibility', service.id, i),
+          location_id: location,
+          description: l.accessibility
+        });
+      }
+    });
+
+    TAXONOMIES.forEach(taxonomy => {
+      let terms = (taxonomy.key === 'eligibility') ? eligibility.terms(service) :
+        service[taxonomy.key] || [];
+
+      terms.forEach(term => add('attribute', {
+        id: uuid('attribute', service.id, taxonomy.key, term.id),
+        link_id: id,
+        link_type: taxonomy.key,
+        link_entity: 'service',
+        taxonomy_term_id: uuid(taxonomy.key, term.id),
+        value: ''
+      }));
+    });
+  });
+
+  return data;
+};
+
+/**
+ * Nest the rows of HSDS tables into service records, the shape of the HSDS
+ * JSON services. Each service has its organization, phones, schedules, urls,
+ * locations (with their addresses, phones, and accessibility), and attributes
+ * (with their taxonomy terms).
+ *
+ * @param   {Object}  data  The rows of each table
+ *
+ * @return  {Array}         The services
+ */
+const compile = (data) => {
+  let rows = (table) => data[table] || [];
+  let by = (table, key, id) => rows(table).filter(r => r[key] === id);
+  let find = (table, id) => rows(table).find(r => r.id === id);
+
+  let phone = (p) => Object.assign({}, p, {languages: by('language', 'phone_id', p.id)});
+
+  return rows('service').map(s => Object.assign({}, s, {
+    organization: find('organization', s.organization_id) || null,
+    phones: by('phone', 'service_id', s.id).map(phone),
+    schedules: by('schedule', 'service_id', s.id),
+    urls: by('url', 'service_id', s.id),
+    service_at_locations: by('service_at_location', 'service_id', s.id).map(sal => {
+      let location = find('location', sal.location_id) || {id: sal.location_id};
+
+      return Object.assign({}, sal, {
+        location: Object.assign({}, location, {
+          addresses: by('address', 'location_id', location.id),
+          phones: by('phone', 'location_id', location.id).map(phone),
+          accessibility: by('accessibility', 'location_id', location.id)
+        })
+      });
+    }),
+    attributes: by('attribute', 'link_id', s.id).map(a => {
+      let term = find('taxonomy_term', a.taxonomy_term_id) || {id: a.taxonomy_term_id};
+
+      return Object.assign({}, a, {
+        taxonomy_term: Object.assign({}, term, {
+          taxonomy_detail: find('taxonomy', term.taxonomy_id) || null
+        })
+      });
+    })
+  }));
+};
+
+/**
+ * Describe the tables as a tabular data package (https://specs.frictionlessdata.io)
+ *
+ * @return  {Object}  The data package
+ */
+const datapackage = () => ({
+  name: NAMESPACE,
+  title: 'Mental Health for All',
+  profile: 'tabular-data-package',
+  hsds_version: VERSION,
+  resources: Object.keys(TABLES).map(table => ({
+    name: table,
+    path: `${table}.csv`,
+    profile: 'tabular-data-resource',
+    schema: {
+      fields: TABLES[table].map(field => ({name: field, type: 'string'}))
+    }
+  }))
+});
+
+/**
+ * Write the HSDS JSON services, a CSV for each table, and the data package to
+ * a directory
+ *
+ * @param   {Object}  data  The rows of each table
+ * @param   {String}  dir   The directory
+ *
+ * @return  {Array}         The paths of the files
+ */
+const write = (data, dir) => {
+  let files = [path.join(dir, 'services.json'), path.join(dir, 'datapackage.json')];
+
+  fs.mkdirSync(dir, {recursive: true});
+
+  fs.writeFileSync(files[0], JSON.stringify(compile(data), null, 2));
+  fs.writeFileSync(files[1], JSON.stringify(datapackage(), null, 2));
+
+  Object.keys(TABLES).forEach(table => {
+    let file = path.join(dir, `${table}.csv`);
+
+    fs.writeFileSync(file, csv.stringify([TABLES[table]]
+      .concat(data[table].map(row => TABLES[table].map(field => row[field])))));
+
+    files.push(file);
+  });
+
+  return files;
+};
+
+/**
+ * Read the services of an HSDS package. Packages with a services.json (a list
+ * of services or an API page with the list in "contents") are read as JSON.
+ * Otherwise each table is read from its CSV file and nested into services.
+ *
+ * @param   {String}  dir  The directory of the package
+ *
+ * @return  {Array}        The services
+ */
+const read = (dir) => {
+  let json = path.join(dir, 'services.json');
+
+  if (fs.existsSync(json)) {
+    let data = JSON.parse(fs.readFileSync(json, 'utf8'));
+
+    return (Array.isArray(data)) ? data : data.contents || [];
+  }
+
+  let data = {};
+
+  fs.readdirSync(dir).filter(file => path.extname(file) === '.csv').forEach(file => {
+    let rows = csv.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    let header = rows.shift() || [];
+
+    data[path.basename(file, '.csv')] = rows.map(cells => {
+      let row = {};
+
+      header.forEach((column, c) => row[column] = cells[c] || '');
+
+      return row;
+    });
+  });
+
+  return compile(data);
+};
+
+/**
+ * Get the key that identifies a phone, url, or schedule so the records of a
+ * service in a package can be compared to the records of its content file
+ *
+ * @type {Object}
+ */
+const KEYS = {
+  phones: (p) => `${String(p.number).replace(/\D/g, '')} ${p.type}`,
+  urls: (u) => u.url,
+  schedules: (s) => `${s.byday} ${s.opens_at} ${s.closes_at}`
+};
+
+/**
+ * The columns a new service needs to pass the schema in config/schema.js and
+ * the HSDS fields they are imported from
+ *
+ * @type {Object}
+ */
+const REQUIRED = {
+  title: 'name',
+  subtitle: 'description',
+  'body.whatItIs': 'description',
+  'howToGetInTouch': 'phones or urls',
+  categories: 'attributes with a term in the categories taxonomy',
+  population: 'attributes with a term in the population taxonomy',
+  providers: 'an organization in the providers registry'
+};
+
+/**
+ * Map an HSDS service to a row of the services spreadsheet (see
+ * bin/util/spreadsheet.js). The name, description, status, organization,
+ * taxonomy terms, ages, and locations are mapped for every service. The
+ * phones, urls, and cost of new services are the "How to get in touch" items
+ * and "Cost" section. Values that are not mapped are reported and so are the
+ * required columns a new service doesn't have so the import can reject it.
+ *
+ * @param   {Object}  item      The HSDS service
+ * @param   {Object}  service   The service from config/services.js that it
+ *                              matches or undefined for a new service
+ * @param   {Object}  current   The spreadsheet row of the content file of the
+ *                              service ({} for a new service)
+ *
+ * @return  {Object}            The row ({record}), a list of the values
+ *                              that could not be mapped ({unmapped}), and
+ *                              the required columns a new service doesn't
+ *                              have ({missing})
+ */
+const record = (item, service, current = {}) => {
+  let record = {};
+  let unmapped = [];
+  let report = (field, message) => unmapped.push(`${field} ${message}`);
+  let ours = (service) ? compile(tables([service], ''))[0] : false;
+  let terms = {categories: [], population: [], providers: []};
+
+  record.title = item.name || '';
+
+  if (item.description) record.subtitle = item.description;
+
+  let status = Object.keys(STATUS).find(key => STATUS[key] === item.status) ||
+    ((item.status === 'defunct') ? 'retired' : false);
+
+  if (status) {
+    if (status !== ((service) ? service.status : 'active')) record.status = status;
+  } else if (item.status) {
+    report('status', `"${item.status}" is not one of ${Object.values(STATUS).join(', ')}, defunct`);
+  }
+
+  /**
+   * Taxonomy terms are matched by their id, code (slug), or name. Eligibility
+   * filters are not imported because they come from the eligibility fields.
+   */
+
+  (item.attributes || []).forEach((a, i) => {
+    let term = a.taxonomy_term || {};
+    let taxonomy = term.taxonomy_detail || {};
+    let candidates = TAXONOMIES.filter(t => taxonomy.id === uuid('taxonomy', t.key) ||
+      taxonomy.name === t.name);
+    let match = false;
+
+    (candidates.length ? candidates : TAXONOMIES).find(t => {
+      let found = t.terms.find(entry => term.id === uuid(t.key, entry.id) ||
+        (term.code && term.code === entry.slug) || (term.name && term.name === entry.name));
+
+      if (found) match = {taxonomy: t.key, id: found.id};
+
+      return found;
+    });
+
+    if (match && match.taxonomy === 'eligibility') return;
+
+    if (!match) {
+      report(`attributes[${i}]`, `"${term.name || term.code || a.taxonomy_term_id}" is not a term in the categories, population, or providers registries`);
+
+      return;
+    }
+
+    if (!terms[match.taxonomy].includes(match.id)) terms[match.taxonomy].push(match.id);
+  });
+
+  if (item.organization) {
+    let name = item.organization.name;
+    let provider = providers.find(p => item.organization.id === uuid('organization', p.id) ||
+      p.name === name || (p.acronym && [name, item.organization.alternate_name].includes(p.acronym)));
+
+    if (provider && !terms.providers.includes(provider.id)) {
+      terms.providers.unshift(provider.id);
+    } else if (!provider) {
+      report('organization', `"${name}" is not in the providers registry`);
+    }
+  }
+
+  // Terms are only set when they are different from the terms of the service
+  Object.keys(terms).filter(key => terms[key].length)
+    .filter(key => !service || terms[key].join('; ') !== service[key].map(t => t.id).join('; '))
+    .forEach(key => record[key] = terms[key].join('; '));
+
+  ['minimum_age', 'maximum_age'].filter(key => item[key] !== undefined && item[key] !== '')
+    .forEach(key => record[`eligibility.ages.${key.slice(0, 3)}`] = String(item[key]));
+
+  /**
+   * Locations need an address with a borough. Locations without one are left
+   * out and reported.
+   */
+
+  let locations = (item.service_at_locations || []).map(sal => sal.location || {});
+
+  if (locations.length) {
+    let index = 0;
+
+    locations.forEach((location, i) => {
+      let address = (location.addresses || []).find(a => a.address_type !== 'postal') ||
+        (location.addresses || [])[0];
+      let city = (address) ? String(address.city || address.region || '').toLowerCase() : '';
+      let borough = boroughs.find(b => b.name.toLowerCase() === city) ||
+        ((city === 'new york') ? boroughs.find(b => b.slug === 'manhattan') : false);
+
+      if (!address || !borough) {
+        report(`service_at_locations[${i}]`, (address) ?
+          `"${address.city}" is not a borough` : 'does not have an address');
+
+        return;
+      }
+
+      let column = `locations[${index++}]`;
+      let phone = (location.phones || [])[0];
+      let accessibility = (location.accessibility || [])[0];
+
+      record[`${column}.name`] = location.name || '';
+      record[`${column}.address`] = [address.address_1, address.address_2].filter(Boolean).join(', ');
+      record[`${column}.borough`] = String(borough.id);
+      record[`${column}.zip`] = address.postal_code || '';
+      record[`${column}.phone`] = (phone) ? phone.number : '';
+      record[`${column}.accessibility`] = (accessibility) ? accessibility.description || '' : '';
+    });
+
+    // Clear the locations of the content file that the package doesn't have
+    Object.keys(current).filter(column => /^locations\[(\d+)\]/.test(column) &&
+      Number(column.match(/^locations\[(\d+)\]/)[1]) >= index && !record.hasOwnProperty(column))
+      .forEach(column => record[column] = '');
+  }
+
+  /**
+   * New services get their "How to get in touch" items from the phones and
+   * urls and their "What it is" and "Cost" sections from the description and
+   * fees. Existing services keep their content and the phones, urls, and
+   * schedules that are not in the content file are reported.
+   */
+
+  if (!service) {
+    let items = (item.phones || []).map(p => ({
+      type: (p.type === 'text') ? 'texting' : 'calling',
+      title: p.description || ((p.type === 'text') ? 'Text' : 'Call'),
+      contacts: [{type: (p.type === 'text') ? 'sms' : 'phone', number: p.number}]
+    })).concat((item.urls || []).map(u => ({
+      type: 'website',
+      title: u.label || 'Visit the website',
+      contacts: [{type: 'website', url: u.url}]
+    })));
+
+    items.forEach((entry, i) => {
+      record[`howToGetInTouch[${i}].type`] = entry.type;
+      record[`howToGetInTouch[${i}].title`] = entry.title;
+
+      Object.keys(entry.contacts[0])
+        .forEach(key => record[`howToGetInTouch[${i}].contacts[0].${key}`] = entry.contacts[0][key]);
+    });
+
+    if (item.description) record['body.whatItIs'] = item.description;
+
+    // The Cost section needs a type and only free services can be told apart
+    if (/^free\b/i.test(item.fees_description || '')) {
+      record['body.cost'] = item.fees_description;
+      record.cost = 'free';
+    } else if (item.fees_description) {
+      report('fees_description', 'is not mapped. Add the "Cost" section with its type (free, low-cost, or health-insurance)');
+    }
+
+    if (item.email) report('email', 'is not mapped. Add it to "How to get in touch"');
+
+    (item.schedules || []).forEach((s, i) => report(`schedules[${i}]`,
+      'is not mapped. Add the hours to a contact point'));
+  } else {
+    Object.keys(KEYS).forEach(key => {
+      let known = (ours[key] || []).map(KEYS[key]);
+
+      (item[key] || []).forEach((entry, i) => {
+        if (!known.includes(KEYS[key](entry))) {
+          report(`${key}[${i}]`, 'is not in the content file. Add it to "How to get in touch"');
+        }
+      });
+    });
+
+    ['email', 'fees_description'].filter(key => item[key] && item[key] !== ours[key])
+      .forEach(key => report(key, 'is different from the content file and was not imported'));
+  }
+
+  Object.keys(item).filter(key => !TABLES.service.includes(key) &&
+    !['organization', 'phones', 'schedules', 'urls', 'service_at_locations', 'attributes'].includes(key))
+    .filter(key => item[key] !== null && item[key] !== '' &&
+      !(Array.isArray(item[key]) && !item[key].length))
+    .forEach(key => report(key, 'is not mapped'));
+
+  // The url of exported services is their page on the site
+  ['alternate_name', 'url', 'eligibility_description', 'assured_date']
+    .filter(key => item[key] && (!ours || String(item[key]) !== String(ours[key])))
+    .filter(key => !(key === 'url' && service && item.url.endsWith(`/services/${service.slug}`)))
+    .forEach(key => report(key, 'is not mapped'));
+
+  let missing = (service) ? [] : Object.keys(REQUIRED).filter(column => !Object.keys(record)
+    .some(key => (key === column || key.startsWith(`${column}[`)) && record[key] !== ''))
+    .map(column => `${column} is required. The package needs ${REQUIRED[column]}`);
+
+  return {record: record, unmapped: unmapped, missing: missing};
+};
+
+module.exports = {
+  version: VERSION,
+  uuid: uuid,
+  tables: tables,
+  compile: compile,
+  write: write,
+  read: read,
+  record: record
+};
@@ -0,0 +1,260 @@
+/**
+ * Dependencies
+ */
+
+const fs = require('fs');
+
+const content = require('./content');
+const rules = require('../../config/lint');
+
+/**
+ * Matches each tag in an HTML string. Closing tags have a slash in the first
+ * group.
+ *
+ * @type {RegExp}
+ */
+const TAG = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>/g;
+
+/**
+ * Matches a paragraph without text
+ *
+ * @type {RegExp}
+ */
+const EMPTY = /<p\b[^>]*>(?:\s|&nbsp;|<br\s*\/?>)*<\/p>/gi;
+
+/**
+ * Matches each attribute of a tag. Values can be in double quotes, single
+ * quotes, or unquoted, as in HTML. Attributes without a value are allowed.
+ *
+ * @type {RegExp}
+ */
+const ATTRIBUTE = /\s([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Get the attributes of a tag
+ *
+ * @param   {String}  tag  The tag
+ *
+ * @return  {Array}        The attributes ({name, value, source}) in the order
+ *                         they are written. The source is the attribute as
+ *                         it is written in the tag.
+ */
+const attributes = (tag) => {
+  let body = tag.replace(/^<\/?[a-zA-Z][a-zA-Z0-9]*/, '').replace(/\/?>$/, '');
+
+  return [...body.matchAll(ATTRIBUTE)].map(match => ({
+    name: match[1].toLowerCase(),
+    value: [match[2], match[3], match[4]].find(v => v !== undefined) || '',
+    source: match[0]
+  }));
+};
+
+/**
+ * Get the value of an attribute in a tag
+ *
+ * @param   {String}  tag   The tag
+ * @param   {String}  name  The attribute name
+ *
+ * @return  {String}        The value or false if the tag does not have it
+ */
+const attribute = (tag, name) => {
+  let match = attributes(tag).find(a => a.name === name);
+
+  return (match) ? match.value : false;
+};
+
+/**
+ * Get the scheme of a link. Browsers ignore whitespace and control characters
+ * in the scheme and decode character references, so they are removed first
+ * (java&#x09;script: is javascript:).
+ *
+ * @param   {String}  href  The link
+ *
+ * @return  {String}        The lowercase scheme or false if the link is relative
+ */
+const scheme = (href) => {
+  let decoded = href
+    .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&(tab|newline);/gi, '')
+    .replace(/&colon;/gi, ':')
+    .replace(/[\u0000-\u0020\u007f]/g, '');
+  let match = /^([^\/?#]*?):/.exec(decoded);
+
+  return (match) ? match[1].toLowerCase() : false;
+};
+
+/**
+ * Wether a link opens a new window without rel="noopener"
+ *
+ * @param   {String}   tag  The opening tag of the link
+ *
+ * @return  {Boolean}
+ */
+const opener = (tag) => (attribute(tag, 'target') || '').toLowerCase() === '_blank' &&
+  !(attribute(tag, 'rel') || '').toLowerCase().split(/\s+/).includes('noopener');
+
+/**
+ * Lint an HTML string. Tags, attributes, classes, and the schemes of links
+ * must be in the allow-list, links that open a new window need
+ * rel="noopener", paragraphs can't be empty, and headings can't skip a level.
+ *
+ * @param   {String}  html   The HTML
+ * @param   {Number}  level  The level of the heading the HTML is under
+ *
+ * @return  {Array}          A list of issues ({message, fixable})
+ */
+const html = (html, level) => {
+  let issues = [];
+  let last = level;
+
+  for (let match of html.matchAll(TAG)) {
+    let tag = match[0];
+    let name = match[2].toLowerCase();
+
+    if (match[1]) continue;
+
+    if (!rules.tags.includes(name)) {
+      issues.push({message: `<${name}> is not an allowed tag`, fixable: false});
+    }
+
+    let allowed = (rules.attributes['*'] || []).concat(rules.attributes[name] || []);
+
+    attributes(tag).filter(a => !allowed.includes(a.name)).forEach(a => issues.push({
+      message: `the ${a.name} attribute is not allowed on <${name}>`,
+      fixable: false
+    }));
+
+    let href = attribute(tag, 'href');
+
+    if (href !== false && scheme(href) && !rules.schemes.includes(scheme(href))) {
+      issues.push({message: `"${href}" is not a link to an allowed scheme (${rules.schemes.join(', ')})`, fixable: false});
+    }
+
+    (attribute(tag, 'class') || '').split(/\s+/)
+      .filter(c => c && !rules.classes.includes(c))
+      .forEach(c => issues.push({message: `"${c}" is not an allowed class`, fixable: false}));
+
+    if (name === 'a' && opener(tag)) {
+      issues.push({message: `${tag} opens a new window without rel="noopener"`, fixable: true});
+    }
+
+    if (/^h[1-6]$/.test(name)) {
+      let n = Number(name[1]);
+
+      if (n <= level) {
+        issues.push({message: `<${name}> should be below the <h${level}> it is in`, fixable: false});
+      } else if (n > last + 1) {
+        issues.push({message: `<${name}> skips a level after <h${last}>`, fixable: false});
+      }
+
+      last = Math.max(n, level);
+    }
+  }
+
+  (html.match(EMPTY) || [])
+    .forEach(p => issues.push({message: `${p} is an empty paragraph`, fixable: true}));
+
+  return issues;
+};
+
+/**
+ * Fix the issues in HTML that can be fixed. Empty paragraphs are removed and
+ * noopener is added to the rel of links that open a new window.
+ *
+ * @param   {String}  html  The HTML (or Markdown with HTML blocks)
+ *
+ * @return  {String}        The fixed HTML
+ */
+const fix = (html) => html
+  .replace(new RegExp(`^[ \\t]*${EMPTY.source}[ \\t]*\\r?\\n`, 'gim'), '')
+  .replace(EMPTY, '')
+  .replace(/<a\b[^>]*>/gi, tag => {
+    if (!opener(tag)) return tag;
+
+    let rel = attributes(tag).find(a => a.name === 'rel');
+
+    if (!rel) return tag.replace(/\s*\/?>$/, end => ` rel="noopener"${end}`);
+
+    return tag.replace(rel.source, ` rel="${[rel.value.trim(), 'noopener'].filter(Boolean).join(' ')}"`);
+  });
+
+/**
+ * Fix the body of a content file. The front matter is left as is.
+ *
+ * @param   {String}   file  The path to the content file
+ *
+ * @return  {Boolean}        Wether the file was changed
+ */
+const file = (file) => {
+  let data = fs.readFileSync(file, 'utf8');
+  let body = content.read(file).body;
+  let fixed = data.slice(0, data.length - body.length) + fix(body);
+
+  if (fixed === data) return false;
+
+  fs.writeFileSync(file, fixed);
+
+  return true;
+};
+
+/**
+ * Get the HTML fields in the body of a service and the level of the heading
+ * each field is under
+ *
+ * @param   {Object}  service  The service
+ *
+ * @return  {Array}            A list of fields ({path, value, level})
+ */
+const fields = (service) => {
+  let list = [];
+
+  Object.keys(service.body || {}).forEach(key => {
+    let section = service.body[key];
+
+    if (Array.isArray(section.content)) {
+      section.content.forEach((item, i) => {
+        if (typeof item.body !== 'string') return;
+
+        list.push({path: `body.${key}.content[${i}].body`, value: item.body, level: rules.headings.body});
+      });
+    } else if (typeof section.content === 'string') {
+      list.push({path: `body.${key}.content`, value: section.content, level: rules.headings.content});
+    }
+  });
+
+  return list;
+};
+
+/**
+ * Lint the body of a service. Translations only report issues in the fields
+ * they translate.
+ *
+ * @param   {Object}  s         The service
+ * @param   {Object}  original  The English service if s is a translation
+ *
+ * @return  {Array}             A list of issues containing the file, the path
+ *                              to the field, the title of the service, a
+ *                              message, and wether it can be fixed
+ */
+const service = (s, original = false) => {
+  let english = new Map((original) ? fields(original).map(f => [f.path, f.value]) : []);
+  let issues = [];
+
+  fields(s).filter(f => english.get(f.path) !== f.value).forEach(f => {
+    html(f.value, f.level).forEach(issue => issues.push(Object.assign({
+      file: s.file,
+      path: f.path,
+      title: s.title
+    }, issue)));
+  });
+
+  return issues;
+};
+
+module.exports = {
+  html: html,
+  fix: fix,
+  file: file,
+  service: service
+};
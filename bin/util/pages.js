@@ -0,0 +1,110 @@
+/**
+ * Dependencies
+ */
+
+const categories = require('../../config/categories.json');
+const population = require('../../config/population.json');
+const providers = require('../../config/providers.json');
+const locales = require('../../config/locales');
+
+/**
+ * Pages with a view in src/views that are written by hand. The other pages
+ * are written by the services command.
+ *
+ * @type {Array}
+ */
+const STATIC = ['/', '/about', '/services/index'];
+
+/**
+ * Get the pages that list services; a page for each provider and a landing
+ * page for each population (/services/for/veterans) and category
+ * (/services/type/crisis-support). Retired services are not listed.
+ *
+ * @param   {Array}  services  The list of services from config/services.js
+ *
+ * @return  {Array}            The pages ({path, template, values, listed}).
+ *                             The values are for the {{ KEYS }} of the
+ *                             template and listed has the listed services.
+ */
+const listings = (services) => {
+  let active = services.filter(s => s.status !== 'retired');
+
+  let landings = [
+    {taxonomy: 'population', path: 'for', param: 'pop', terms: population},
+    {taxonomy: 'categories', path: 'type', param: 'cat', terms: categories}
+  ].map(landing => landing.terms.map(term => ({
+    path: `/services/${landing.path}/${term.slug}`,
+    template: 'src/slm/services/term.slm',
+    values: {
+      TAXONOMY: landing.taxonomy,
+      TERM_ID: term.id,
+      TERM_PATH: `/services/${landing.path}/${term.slug}`,
+      PARAM: landing.param
+    },
+    listed: active.filter(s => s[landing.taxonomy].some(t => t.id === term.id))
+  })));
+
+  return providers.map(provider => ({
+    path: `/providers/${provider.slug}`,
+    template: 'src/slm/providers/provider.slm',
+    values: {
+      PROVIDER_ID: provider.id,
+      PROVIDER_SLUG: provider.slug
+    },
+    listed: active.filter(s => s.providers.some(p => p.id === provider.id))
+  })).concat(...landings);
+};
+
+/**
+ * Get the locales a listing page is translated in. Pages are translated when
+ * they list a translated service.
+ *
+ * @param   {Array}  listed  The services listed on the page
+ *
+ * @return  {Array}          The locales from config/locales.js
+ */
+const translated = (listed) => locales
+  .filter(locale => listed.some(s => s.translations[locale.code]));
+
+/**
+ * Get the path of every page that search engines can index; the pages written
+ * by hand, the page of each service that is not retired, the listing pages,
+ * and the translation of each. Retired services and the previous slugs of
+ * services are noindex pages so they are left out.
+ *
+ * @param   {Array}  services  The list of services from config/services.js
+ *
+ * @return  {Array}            The pages ({path, service}). The service is the
+ *                             service (or translation) of a service page.
+ */
+const indexed = (services) => {
+  let list = STATIC.map(page => ({path: page}))
+    .concat(locales.filter(locale => locale.about)
+      .map(locale => ({path: `/${locale.path}/about`})));
+
+  services.filter(s => s.status !== 'retired').forEach(service => {
+    list.push({path: `/services/${service.slug}`, service: service});
+
+    locales.filter(locale => service.translations[locale.code]).forEach(locale => {
+      list.push({
+        path: `/${locale.path}/services/${service.slug}`,
+        service: service.translations[locale.code]
+      });
+    });
+  });
+
+  listings(services).forEach(listing => {
+    list.push({path: listing.path});
+
+    translated(listing.listed)
+      .forEach(locale => list.push({path: `/${locale.path}${listing.path}`}));
+  });
+
+  return list;
+};
+
+module.exports = {
+  listings: listings,
+  translated: translated,
+  indexed: indexed
+};
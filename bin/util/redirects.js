@@ -0,0 +1,119 @@
+/**
+ * Dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Constants
+ */
+
+const FILE = 'config/redirects.json';
+const ROOT = path.join(__dirname, '../..');
+
+/**
+ * Read the slug history. Each entry has the id of a service and every slug it
+ * has had, the current slug last.
+ *
+ * @return  {Array}  The history ([{id, slugs}])
+ */
+const history = () => (fs.existsSync(path.join(ROOT, FILE))) ?
+  JSON.parse(fs.readFileSync(path.join(ROOT, FILE), 'utf8')) : [];
+
+/**
+ * Add the current slug of each service to the end of its history. A slug that
+ * comes back is moved to the end so it does not redirect to itself.
+ *
+ * @param   {Array}    services  The list of services from config/services.js
+ * @param   {Array}    entries   The history
+ *
+ * @return  {Boolean}            Wether the history changed
+ */
+const record = (services, entries) => {
+  let changed = false;
+
+  services.forEach(service => {
+    let entry = entries.find(e => e.id === service.id);
+
+    if (!entry) entries.push(entry = {id: service.id, slugs: []});
+
+    if (entry.slugs[entry.slugs.length - 1] === service.slug) return;
+
+    entry.slugs = entry.slugs.filter(slug => slug !== service.slug).concat(service.slug);
+
+    changed = true;
+  });
+
+  entries.sort((a, b) => a.id - b.id);
+
+  return changed;
+};
+
+/**
+ * Write the history
+ *
+ * @param   {Array}  entries  The history
+ */
+const save = (entries) => {
+  fs.writeFileSync(path.join(ROOT, FILE), JSON.stringify(entries, null, 2) + '\n');
+};
+
+/**
+ * Get the previous slugs of each service that need a redirect page
+ *
+ * @param   {Array}  services  The list of services from config/services.js
+ * @param   {Array}  entries   The history
+ *
+ * @return  {Array}            The redirects ([{slug, service}])
+ */
+const redirects = (services, entries) => [].concat(...entries.map(entry => {
+  let service = services.find(s => s.id === entry.id);
+
+  return (service) ? entry.slugs.filter(slug => slug !== service.slug)
+    .map(slug => ({slug: slug, service: service})) : [];
+}));
+
+/**
+ * Check that no service uses a previous slug of another service, including
+ * slugs that change in this build. Reusing a slug would replace the redirect
+ * that bookmarks and printed links rely on.
+ *
+ * @param   {Array}  services  The list of services from config/services.js
+ * @param   {Array}  entries   The history
+ *
+ * @return  {Array}            A list of errors containing the file, the path
+ *                             to the invalid value, the title of the service,
+ *                             and a message
+ */
+const check = (services, entries) => {
+  let updated = JSON.parse(JSON.stringify(entries));
+  let errors = [];
+
+  record(services, updated);
+
+  services.forEach(service => {
+    let entry = updated.find(e => e.id !== service.id &&
+      e.slugs.slice(0, -1).includes(service.slug));
+
+    if (!entry) return;
+
+    errors.push({
+      file: service.file,
+      path: 'slug',
+      title: service.title,
+      message: `"${service.slug}" is a previous slug of the service with the id ${entry.id} in ${FILE}`
+    });
+  });
+
+  return errors;
+};
+
+module.exports = {
+  file: FILE,
+  history: history,
+  record: record,
+  save: save,
+  redirects: redirects,
+  check: check
+};
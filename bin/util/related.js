@@ -0,0 +1,111 @@
+/**
+ * Dependencies
+ */
+
+const path = require('path');
+
+/**
+ * Constants
+ */
+
+const COUNT = 3;
+
+/**
+ * Shared categories count more than shared populations because most services
+ * serve several of the same populations
+ *
+ * @type {Object}
+ */
+const WEIGHTS = {
+  categories: 2,
+  population: 1
+};
+
+/**
+ * Get the content file name of a service (nyc-well)
+ *
+ * @param   {Object}  service  The service
+ *
+ * @return  {String}           The file name without the extension
+ */
+const name = (service) => path.basename(service.file, '.md');
+
+/**
+ * Score how related two services are by the taxonomy terms they share
+ *
+ * @param   {Object}  a  The first service
+ * @param   {Object}  b  The second service
+ *
+ * @return  {Number}     The score
+ */
+const score = (a, b) => Object.keys(WEIGHTS).reduce((total, key) => {
+  let ids = (s) => (s[key] || []).map(term => (typeof term === 'object') ? term.id : term);
+  let shared = ids(a).filter(id => ids(b).includes(id));
+
+  return total + (shared.length * WEIGHTS[key]);
+}, 0);
+
+/**
+ * Get the related services of a service. Services listed in the related key
+ * of the front matter come first and the rest are the services that share the
+ * most categories and populations. Retired services are left out.
+ *
+ * @param   {Object}  service   The service
+ * @param   {Array}   services  All of the services
+ * @param   {Number}  count     The number of related services
+ *
+ * @return  {Array}             The content file names of the related services
+ */
+const related = (service, services, count = COUNT) => {
+  let candidates = services.filter(s => s !== service && s.status !== 'retired');
+
+  let manual = (service.related || [])
+    .map(file => candidates.find(s => name(s) === file))
+    .filter(Boolean);
+
+  let computed = candidates.filter(s => !manual.includes(s))
+    .map(s => ({service: s, score: score(service, s)}))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(r => r.service);
+
+  return manual.concat(computed)
+    .slice(0, Math.max(count, manual.length))
+    .map(name);
+};
+
+/**
+ * Check that each service in the related key of the front matter is the file
+ * name of a service
+ *
+ * @param   {Array}  services  The list of services from config/services.js
+ *
+ * @return  {Array}            A list of errors containing the file, the path
+ *                             to the invalid value, the title of the service,
+ *                             and a message
+ */
+const check = (services) => {
+  let files = services.map(name);
+  let errors = [];
+
+  services.forEach(service => {
+    (Array.isArray(service.related) ? service.related : []).forEach((file, i) => {
+      if (files.includes(file) && file !== name(service)) return;
+
+      errors.push({
+        file: service.file,
+        path: `related[${i}]`,
+        title: service.title,
+        message: (file === name(service)) ? 'is the service itself' :
+          `"${file}" is not the file name of a service in content/services`
+      });
+    });
+  });
+
+  return errors;
+};
+
+module.exports = {
+  related: related,
+  check: check
+};
@@ -0,0 +1,417 @@
+/**
+ * Dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const yaml = require('js-yaml');
+
+const content = require('./content');
+
+/**
+ * Front matter keys with lists of taxonomy terms ({id, name}). Their columns
+ * only have the ids and the names are added from the registry on import.
+ *
+ * @type {Object}
+ */
+const TERMS = {
+  population: 'population',
+  featured: 'population'
+};
+
+/**
+ * Front matter keys with lists of values. Lists are written to a single column
+ * with the values separated by semicolons.
+ *
+ * @type {Array}
+ */
+const LISTS = ['categories', 'population', 'providers', 'featured', 'days', 'languages'];
+
+/**
+ * Split a column name (howToGetInTouch[0].contacts[1].number) into its keys
+ *
+ * @param   {String}  column  The column name
+ *
+ * @return  {Array}           The keys, array indexes are numbers
+ */
+const keys = (column) => column.split(/\.|(?=\[)/)
+  .map(key => (/^\[\d+\]$/.test(key)) ? Number(key.slice(1, -1)) : key);
+
+/**
+ * Get a value in an object by its column name
+ *
+ * @param   {Object}  data    The object
+ * @param   {String}  column  The column name
+ *
+ * @return  {*}               The value or undefined
+ */
+const get = (data, column) => keys(column)
+  .reduce((value, key) => (value === undefined || value === null) ? undefined : value[key], data);
+
+/**
+ * Flatten a value into columns. Objects and lists of objects are flattened
+ * into a column for each value and lists of values are joined. Lists of terms
+ * with keys other than the id and name (such as the order of featured
+ * entries) are flattened like other objects.
+ *
+ * @param   {*}       value   The value
+ * @param   {String}  column  The column name of the value
+ * @param   {Object}  row     The row to add the columns to
+ *
+ * @return  {Object}          The row
+ */
+const flatten = (value, column, row) => {
+  let key = column.split('.').pop();
+
+  let term = (v) => typeof v !== 'object' || v === null ||
+    Object.keys(v).every(k => ['id', 'name'].includes(k));
+
+  if (value === undefined || value === null) return row;
+
+  if (Array.isArray(value) && value.every(term) &&
+    (LISTS.includes(key) || value.every(v => typeof v !== 'object'))) {
+    row[column] = value.map(v => (typeof v === 'object' && v !== null) ? v.id : v).join('; ');
+  } else if (Array.isArray(value)) {
+    value.forEach((v, i) => flatten(v, `${column}[${i}]`, row));
+  } else if (typeof value === 'object') {
+    Object.keys(value).forEach(k => flatten(value[k], (column) ? `${column}.${k}` : k, row));
+  } else {
+    row[column] = String(value);
+  }
+
+  return row;
+};
+
+/**
+ * Convert a cell to the type of the value it replaces. New values are
+ * booleans if they are true or false, numbers if they are ids, the order,
+ * ages, or boroughs, and strings otherwise.
+ *
+ * @param   {String}  cell      The cell
+ * @param   {String}  column    The column name
+ * @param   {*}       previous  The value in the content file
+ * @param   {Object}  registry  The taxonomy registries
+ *
+ * @return  {*}                 The value
+ */
+const cast = (cell, column, previous, registry) => {
+  let key = column.split('.').pop().replace(/\[\d+\]$/, '');
+
+  if (LISTS.includes(key) || Array.isArray(previous)) {
+    let list = cell.split(/\s*;\s*/).filter(v => v !== '');
+    let first = (Array.isArray(previous)) ? previous[0] : undefined;
+
+    if (TERMS[key]) {
+      return list.map(Number).map(id => ({id: id, name: registry[TERMS[key]].get(id)}));
+    }
+
+    return (['categories', 'providers'].includes(key) || typeof first === 'number') ?
+      list.map(Number) : list;
+  }
+
+  if (typeof previous === 'number') return Number(cell);
+
+  if (typeof previous === 'boolean' || /^(true|false)$/.test(cell)) return cell === 'true';
+
+  if (previous === undefined && ['id', 'order', 'min', 'max', 'borough'].includes(key) && /^\d+$/.test(cell)) return Number(cell);
+
+  return cell;
+};
+
+/**
+ * Set a value in an object by its column name, creating the objects and lists
+ * on the way
+ *
+ * @param   {Object}  data    The object
+ * @param   {String}  column  The column name
+ * @param   {*}       value   The value
+ */
+const set = (data, column, value) => {
+  let path = keys(column);
+
+  path.reduce((parent, key, i) => {
+    if (i === path.length - 1) {
+      parent[key] = value;
+    } else if (parent[key] === undefined) {
+      parent[key] = (typeof path[i + 1] === 'number') ? [] : {};
+    }
+
+    return parent[key];
+  }, data);
+};
+
+/**
+ * Remove the empty slots left in lists when a row leaves out an item
+ *
+ * @param   {*}  value  The value
+ *
+ * @return  {*}         The value without empty slots
+ */
+const compact = (value) => {
+  if (Array.isArray(value)) return value.filter(v => v !== undefined).map(compact);
+
+  if (typeof value === 'object' && value !== null) {
+    Object.keys(value).forEach(k => value[k] = compact(value[k]));
+  }
+
+  return value;
+};
+
+/**
+ * Read a content file into a row. The file column is the name of the content
+ * file, front matter is flattened into columns, and the Markdown of each
+ * section is in a body column (body.whatItIs). The Markdown of each "How to
+ * get in touch" item is in the body column of the item.
+ *
+ * @param   {String}  file      The path to the content file
+ * @param   {Object}  sections  The heading for each section
+ *
+ * @return  {Object}            The row
+ */
+const row = (file, sections) => {
+  let data = content.read(file);
+  let row = flatten(data.attributes, '', {file: path.basename(file, '.md')});
+  let titled = content.split(data.body, 2).filter(s => s.title);
+
+  Object.keys(sections).forEach(key => {
+    let section = titled.find(s => s.title === sections[key]);
+
+    if (!section) return;
+
+    if (key !== 'howToGetInTouch') {
+      row[`body.${key}`] = section.content;
+
+      return;
+    }
+
+    content.split(section.content, 3).filter(s => s.title).forEach(s => {
+      let index = (data.attributes.howToGetInTouch || []).findIndex(item => item.title === s.title);
+
+      if (index > -1) row[`howToGetInTouch[${index}].body`] = s.content;
+    });
+  });
+
+  return row;
+};
+
+/**
+ * Order columns so the columns of each front matter key are together and list
+ * items are in order. Keys keep the order they are first seen in.
+ *
+ * @param   {Array}  rows  The rows
+ *
+ * @return  {Array}        The column names
+ */
+const columns = (rows) => {
+  let prefixes = (column) => keys(column).map((key, i, list) => list.slice(0, i + 1)
+    .map(k => (typeof k === 'number') ? '[]' : `.${k}`).join(''));
+  let seen = [];
+
+  rows.forEach(r => Object.keys(r).forEach(column => prefixes(column).forEach(prefix => {
+    if (!seen.includes(prefix)) seen.push(prefix);
+  })));
+
+  let rank = (column) => keys(column)
+    .map((key, i) => (typeof key === 'number') ? key : seen.indexOf(prefixes(column)[i]));
+
+  let compare = (a, b) => {
+    let ra = rank(a);
+    let rb = rank(b);
+
+    for (let i = 0; i < Math.max(ra.length, rb.length); i++) {
+      if (ra[i] === undefined) return -1;
+      if (rb[i] === undefined) return 1;
+      if (ra[i] !== rb[i]) return ra[i] - rb[i];
+    }
+
+    return 0;
+  };
+
+  return [...new Set([].concat(...rows.map(r => Object.keys(r))))].sort(compare);
+};
+
+/**
+ * Check the taxonomy ids of a row against the registries
+ *
+ * @param   {Object}  record    The row
+ * @param   {Object}  registry  Maps of id to name for each taxonomy registry
+ *
+ * @return  {Array}             A list of error messages
+ */
+const check = (record, registry) => Object.keys(TERMS).concat('categories', 'providers')
+  .filter(column => record[column])
+  .reduce((errors, column) => {
+    let ref = TERMS[column] || column;
+
+    return errors.concat(record[column].split(/\s*;\s*/).filter(id => id !== '')
+      .filter(id => !registry[ref].has(Number(id)))
+      .map(id => `${column} "${id}" is not an id in the ${ref} registry`));
+  }, []);
+
+/**
+ * Find the fields of a row that change a content file
+ *
+ * @param   {Object}  record   The row from the spreadsheet
+ * @param   {Object}  current  The row of the content file
+ *
+ * @return  {Array}            A list of changes ({column, from, to})
+ */
+const changes = (record, current) => Object.keys(record)
+  .filter(column => column !== 'file')
+  .map(column => ({
+    column: column,
+    from: (current[column] || '').trim(),
+    to: record[column].trim()
+  }))
+  .filter(change => change.from !== change.to);
+
+/**
+ * Options for writing front matter. The core schema is the one it is read
+ * with.
+ *
+ * @type {Object}
+ */
+const YAML = {
+  schema: yaml.CORE_SCHEMA,
+  lineWidth: -1
+};
+
+/**
+ * Write front matter in the style of the content files. Lists of values are
+ * written in flow style ([3, 5]) and everything else in block style.
+ *
+ * @param   {Object}  attributes  The front matter
+ *
+ * @return  {String}              The YAML
+ */
+const dump = (attributes) => {
+  let flows = [];
+
+  let mark = (value) => {
+    if (Array.isArray(value) && value.every(v => typeof v !== 'object' || v === null)) {
+      flows.push(yaml.safeDump(value, Object.assign({flowLevel: 0}, YAML)).trim());
+
+      return `__flow${flows.length - 1}__`;
+    }
+
+    if (Array.isArray(value)) return value.map(mark);
+
+    if (typeof value === 'object' && value !== null) {
+      return Object.keys(value).reduce((object, key) => Object.assign(object, {[key]: mark(value[key])}), {});
+    }
+
+    return value;
+  };
+
+  return yaml.safeDump(mark(attributes), YAML).replace(/__flow(\d+)__/g, (m, i) => flows[i]);
+};
+
+/**
+ * Split the YAML of front matter into the lines of each top level key
+ *
+ * @param   {String}  front  The YAML
+ *
+ * @return  {Object}         The YAML of each key
+ */
+const blocks = (front) => front.split(/\r?\n(?=[^\s#-])/).reduce((list, block) => {
+  let key = /^['"]?([^'":]+)['"]?\s*:/.exec(block);
+
+  if (key) list[key[1]] = `${block.replace(/\s+$/, '')}\n`;
+
+  return list;
+}, {});
+
+/**
+ * Make the text of a content file from a row. Columns that are not in the row
+ * keep the value in the file and empty cells remove the value (empty lists
+ * are kept because they are empty cells in the spreadsheet). Keys of the
+ * front matter that don't change are kept as they are written in the file and
+ * the others are written with dump(). Sections are written in the order they
+ * are in the file.
+ *
+ * @param   {String}  file      The path to the content file
+ * @param   {Object}  record    The row
+ * @param   {Object}  sections  The heading for each section
+ * @param   {Object}  registry  Maps of id to name for each taxonomy registry
+ *
+ * @return  {String}            The text of the content file
+ */
+const render = (file, record, sections, registry) => {
+  let exists = fs.existsSync(file);
+  let existing = (exists) ? content.read(file) : {attributes: {}, front: '', body: ''};
+  let attributes = {};
+  let bodies = [];
+
+  record = Object.assign((exists) ? row(file, sections) : {}, record);
+
+  Object.keys(record).filter(column => column !== 'file' && !column.startsWith('body.'))
+    .forEach(column => {
+      let previous = get(existing.attributes, column);
+
+      if (record[column].trim() !== '') {
+        set(attributes, column, cast(record[column].trim(), column, previous, registry));
+      } else if (Array.isArray(previous) && !previous.length) {
+        set(attributes, column, []);
+      }
+    });
+
+  attributes = compact(attributes);
+
+  (attributes.howToGetInTouch || []).forEach(item => {
+    if (item.body) bodies.push(`### ${item.title}\n\n${item.body}`);
+
+    delete item.body;
+  });
+
+  let titled = content.split(existing.body, 2).filter(s => s.title);
+  let order = titled.map(s => Object.keys(sections).find(k => sections[k] === s.title) || s)
+    .concat(Object.keys(sections))
+    .filter((key, i, list) => list.indexOf(key) === i);
+
+  let body = order.map(key => {
+    if (typeof key === 'object') return key;
+
+    if (key === 'howToGetInTouch') {
+      return (attributes.howToGetInTouch) ?
+        {title: sections[key], content: bodies.join('\n\n')} : false;
+    }
+
+    let markdown = (record[`body.${key}`] !== undefined) ?
+      record[`body.${key}`].trim() : (titled.find(s => s.title === sections[key]) || {}).content;
+
+    return (markdown) ? {title: sections[key], content: markdown} : false;
+  }).filter(Boolean)
+    .map(s => `## ${s.title}\n\n${(s.content) ? `${s.content}\n\n` : ''}`).join('');
+
+  let kept = blocks(existing.front);
+  let keys = Object.keys(kept).filter(key => attributes.hasOwnProperty(key))
+    .concat(Object.keys(attributes))
+    .filter((key, i, list) => list.indexOf(key) === i);
+
+  let front = keys.map(key => (util.isDeepStrictEqual(existing.attributes[key], attributes[key])) ?
+    kept[key] : dump({[key]: attributes[key]})).join('');
+
+  return `---\n${front}---\n\n${body.trim()}\n`;
+};
+
+/**
+ * Write a row to a content file. See render().
+ *
+ * @param   {String}  file      The path to the content file
+ * @param   {Object}  record    The row
+ * @param   {Object}  sections  The heading for each section
+ * @param   {Object}  registry  Maps of id to name for each taxonomy registry
+ */
+const write = (file, record, sections, registry) => {
+  fs.writeFileSync(file, render(file, record, sections, registry));
+};
+
+module.exports = {
+  row: row,
+  columns: columns,
+  check: check,
+  changes: changes,
+  render: render,
+  write: write
+};
@@ -0,0 +1,21 @@
+/**
+ * Translate an interface string. Strings are looked up by their English text
+ * in a locale's strings and fall back to English when there is no
+ * translation. Variables in curly braces ({title}) are replaced with values.
+ *
+ * @param   {Object}  strings  The strings of a locale (English text → translation)
+ * @param   {String}  string   The English text
+ * @param   {Object}  vars     Values for the variables in the string
+ *
+ * @return  {String}           The translated string
+ */
+const translate = (strings, string, vars = {}) => {
+  let translated = (strings && strings[string]) ? strings[string] : string;
+
+  return Object.keys(vars)
+    .reduce((s, key) => s.split(`{${key}}`).join(vars[key]), translated);
+};
+
+module.exports = {
+  translate: translate
+};
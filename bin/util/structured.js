@@ -0,0 +1,172 @@
+/**
+ * Constants
+ */
+
+const CONTEXT = 'https://schema.org';
+
+/**
+ * The area every service is offered in
+ *
+ * @type {Object}
+ */
+const AREA = {
+  '@type': 'City',
+  name: 'New York'
+};
+
+/**
+ * Get the providers of a service as organizations. Services with providers
+ * that are not in the registry fall back to the program provider text.
+ *
+ * @param   {Object}  service  The service from config/services.js
+ *
+ * @return  {Array}            The organizations
+ */
+const providers = (service) => {
+  let named = (service.providers || []).filter(p => p.name);
+
+  if (!named.length) {
+    return (service.programProvider) ?
+      [{'@type': 'Organization', name: service.programProvider}] : [];
+  }
+
+  return named.map(p => Object.assign({'@type': 'Organization', name: p.name},
+    (p.acronym) ? {alternateName: p.acronym} : {},
+    (p.website) ? {url: p.website} : {}));
+};
+
+/**
+ * Get a contact point for each phone number in the "How to get in touch"
+ * section of a service. Numbers listed more than once are only included once.
+ *
+ * @param   {Object}  service  The service from config/services.js
+ *
+ * @return  {Array}            The contact points
+ */
+const phones = (service) => {
+  let section = service.body.howToGetInTouch;
+  let points = [];
+
+  ((section && Array.isArray(section.content)) ? section.content : []).forEach(item => {
+    (item.contacts || []).filter(c => c.type === 'phone' && c.href).forEach(c => {
+      let telephone = c.href.replace(/^tel:/, '');
+
+      if (points.some(p => p.telephone === telephone)) return;
+
+      points.push(Object.assign({
+        '@type': 'ContactPoint',
+        telephone: telephone,
+        contactType: c.label || item.title
+      }, (c.languages && c.languages.length) ? {availableLanguage: c.languages} : {}));
+    });
+  });
+
+  return points;
+};
+
+/**
+ * Get the breadcrumb list of a page
+ *
+ * @param   {Array}  crumbs  The name and url of each page in the trail
+ *                           ([{name, url}])
+ *
+ * @return  {Object}         The breadcrumb list
+ */
+const breadcrumbs = (crumbs) => ({
+  '@type': 'BreadcrumbList',
+  itemListElement: crumbs.map((crumb, i) => ({
+    '@type': 'ListItem',
+    position: i + 1,
+    name: crumb.name,
+    item: crumb.url
+  }))
+});
+
+/**
+ * Get the government service of a service page. Services with a cost type
+ * are accessible for free when the type is free.
+ *
+ * @param   {Object}  service  The service from config/services.js (or its
+ *                             translation)
+ * @param   {String}  url      The address of the service page
+ *
+ * @return  {Object}           The government service
+ */
+const service = (service, url) => {
+  let data = {
+    '@type': 'GovernmentService',
+    name: service.title,
+    description: service.metaDescription || service.subtitle,
+    url: url,
+    serviceType: service.categories.filter(c => c.name).map(c => c.name),
+    provider: providers(service),
+    audience: service.population.map(p => ({
+      '@type': 'Audience',
+      audienceType: p.name
+    })),
+    areaServed: AREA,
+    availableChannel: phones(service).map(point => ({
+      '@type': 'ServiceChannel',
+      servicePhone: point
+    }))
+  };
+
+  if (service.body.cost && service.body.cost.type) {
+    data.isAccessibleForFree = service.body.cost.type === 'free';
+  }
+
+  return data;
+};
+
+/**
+ * Get the website
+ *
+ * @param   {String}  name         The name of the site
+ * @param   {String}  url          The address of the homepage
+ * @param   {String}  description  The description of the site
+ *
+ * @return  {Object}               The website
+ */
+const website = (name, url, description) => ({
+  '@type': 'WebSite',
+  name: name,
+  url: url,
+  description: description
+});
+
+/**
+ * Get a list of the pages of services
+ *
+ * @param   {Array}  items  The name and url of each service ([{name, url}])
+ *
+ * @return  {Object}        The item list
+ */
+const list = (items) => ({
+  '@type': 'ItemList',
+  numberOfItems: items.length,
+  itemListElement: items.map((item, i) => ({
+    '@type': 'ListItem',
+    position: i + 1,
+    name: item.name,
+    url: item.url
+  }))
+});
+
+/**
+ * Write a list of structured data as a JSON-LD graph. The "<" character is
+ * escaped so text in the data can't close the script tag.
+ *
+ * @param   {Array}   graph  The structured data
+ *
+ * @return  {String}         The JSON-LD
+ */
+const stringify = (graph) => JSON.stringify({'@context': CONTEXT, '@graph': graph})
+  .replace(/</g, '\\u003c');
+
+module.exports = {
+  breadcrumbs: breadcrumbs,
+  service: service,
+  website: website,
+  list: list,
+  stringify: stringify
+};
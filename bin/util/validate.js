@@ -0,0 +1,207 @@
+/**
+ * Dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const schema = require('../../config/schema');
+
+/**
+ * Constants
+ */
+
+const FILE = 'content/services';
+const SVGS = path.join(__dirname, '../../src/svg');
+
+/**
+ * Return the type of a value using the same names as the schema
+ *
+ * @param   {*}       value  The value to check
+ *
+ * @return  {String}         string, number, boolean, array, object, or undefined
+ */
+const typeOf = (value) => (Array.isArray(value)) ? 'array' :
+  (value === null) ? 'null' : typeof value;
+
+/**
+ * Check a term object against its taxonomy registry. The id must be in the
+ * registry and, if the term includes a name, it must match the registry.
+ *
+ * @param   {Object}  value  The term object ({id, name})
+ * @param   {String}  ref    The name of the taxonomy
+ * @param   {Object}  refs   Maps of id to name for each taxonomy registry
+ *
+ * @return  {String}         An error message or false
+ */
+const resolve = (value, ref, refs) => {
+  let terms = refs[ref];
+
+  if (!terms.has(value.id)) {
+    return `${value.id} is not an id in the ${ref} registry`;
+  }
+
+  if (value.hasOwnProperty('name') && terms.get(value.id) !== value.name) {
+    return `"${value.name}" does not match the name for ${ref} id ${value.id} ("${terms.get(value.id)}")`;
+  }
+
+  return false;
+};
+
+/**
+ * Check that each id and slug in a taxonomy registry is unique
+ *
+ * @param   {Array}   registry  The list of terms
+ * @param   {String}  file      The path of the registry
+ *
+ * @return  {Array}             A list of errors
+ */
+const unique = (registry, file) => {
+  let errors = [];
+
+  ['id', 'slug'].forEach(key => {
+    let seen = new Map();
+
+    registry.forEach((term, i) => {
+      if (seen.has(term[key])) {
+        errors.push({
+          file: file,
+          path: `[${i}].${key}`,
+          title: term.name,
+          message: `"${term[key]}" is a duplicate of the ${key} at index ${seen.get(term[key])}`
+        });
+      } else {
+        seen.set(term[key], i);
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Walk a value and its schema node, collecting errors
+ *
+ * @param   {*}       value   The value to check
+ * @param   {Object}  node    The schema node describing the value
+ * @param   {String}  key     The path to the value
+ * @param   {Object}  refs    Taxonomies for resolving term ids
+ * @param   {Array}   errors  The list of errors to add to
+ *
+ * @return  {Array}           The list of errors
+ */
+const walk = (value, node, key, refs, errors) => {
+  let type = typeOf(value);
+
+  if (type === 'undefined' || value === '') {
+    if (node.required) errors.push({path: key, message: 'is required'});
+
+    return errors;
+  }
+
+  if (type !== node.type) {
+    errors.push({path: key, message: `should be a ${node.type} but is a ${type}`});
+
+    return errors;
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push({path: key, message: `"${value}" is not one of ${node.enum.join(', ')}`});
+  } else if (node.icon && !fs.existsSync(path.join(SVGS, `icon-${value}.svg`))) {
+    errors.push({path: key, message: `"${value}" does not have an icon in src/svg/icon-${value}.svg`});
+  }
+
+  if (node.check) {
+    let message = node.check(value);
+
+    if (message) errors.push({path: key, message: message});
+  }
+
+  if (type === 'array') {
+    if (node.min && value.length < node.min) {
+      errors.push({path: key, message: `should have at least ${node.min} item(s)`});
+    }
+
+    if (node.items) {
+      value.forEach((item, i) => walk(item, node.items, `${key}[${i}]`, refs, errors));
+    }
+  }
+
+  if (type === 'object') {
+    let properties = node.properties || {};
+
+    Object.keys(properties)
+      .forEach(p => walk(value[p], properties[p], `${key}.${p}`, refs, errors));
+
+    if (node.additional === false) {
+      Object.keys(value).filter(p => !properties.hasOwnProperty(p))
+        .forEach(p => errors.push({path: `${key}.${p}`, message: 'is not a known key'}));
+    }
+
+    if (node.ref && typeOf(value.id) === 'number') {
+      let message = resolve(value, node.ref, refs);
+
+      if (message) errors.push({path: key, message: message});
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a list of services against the schema
+ *
+ * @param   {Array}   services    The list of services from config/services.js.
+ *                                Errors use the content file of each service.
+ * @param   {Object}  registries  Taxonomy registries keyed by the schema ref
+ *                                name, each containing the file path and the
+ *                                list of terms ({file, terms})
+ *
+ * @return  {Array}               A list of errors containing the file, the
+ *                                path to the invalid value, the title of the
+ *                                service or term, and a message
+ */
+module.exports = (services, registries) => {
+  let errors = [];
+  let seen = {id: new Map(), title: new Map(), slug: new Map()};
+  let refs = {};
+
+  Object.keys(registries).forEach(ref => {
+    let registry = registries[ref];
+
+    refs[ref] = new Map();
+
+    registry.terms.forEach(t => {
+      if (!refs[ref].has(t.id)) refs[ref].set(t.id, t.name);
+    });
+
+    errors.push(...unique(registry.terms, registry.file));
+  });
+
+  services.forEach((service, index) => {
+    let title = (service && service.title) ? service.title : '';
+    let file = (service && service.file) ? service.file : FILE;
+    let root = (file === FILE) ? `[${index}]` : '';
+
+    walk(service, schema, root, refs, []).forEach(error => {
+      error.path = error.path.replace(/^\./, '') || 'service';
+
+      errors.push(Object.assign({file: file, title: title}, error));
+    });
+
+    Object.keys(seen).filter(key => service && service[key]).forEach(key => {
+      if (seen[key].has(service[key])) {
+        errors.push({
+          file: file,
+          path: (root) ? `${root}.${key}` : key,
+          title: title,
+          message: `is a duplicate of the service ${seen[key].get(service[key])}`
+        });
+      } else {
+        seen[key].set(service[key], (root) ? `at index ${index}` : `in ${file}`);
+      }
+    });
+  });
+
+  return errors;
+};
@@ -0,0 +1,315 @@
+/**
+ * Dependencies
+ */
+
+const contact = require('../bin/util/contact');
+const hours = require('../bin/util/hours');
+
+/**
+ * The JSON Schema of the open data API in dist/api/v1. It is published at
+ * /api/v1/schema.json and each endpoint is described in $defs;
+ *
+ * services  - /api/v1/services.json, the summary of each active service
+ * service   - /api/v1/services/{slug}.json, the full detail of a service
+ * terms     - /api/v1/terms.json, the terms of each taxonomy
+ * meta      - /api/v1/meta.json, the build version, date, and endpoints
+ *
+ * Changes that remove or rename keys need a new version of the API.
+ *
+ * @type {Object}
+ */
+
+const string = {
+  type: 'string'
+};
+
+const strings = {
+  type: 'array',
+  items: string
+};
+
+const integer = {
+  type: 'integer'
+};
+
+const ref = (def) => ({$ref: `#/$defs/${def}`});
+
+const list = (def) => ({
+  type: 'array',
+  items: ref(def)
+});
+
+module.exports = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: '/api/v1/schema.json',
+  title: 'Mental Health for All open data API',
+  $defs: {
+    term: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        id: integer,
+        name: string,
+        slug: string,
+        description: string,
+        website: string
+      }
+    },
+    provider: {
+      type: 'object',
+      required: ['id', 'name', 'slug'],
+      properties: {
+        id: integer,
+        name: string,
+        slug: string,
+        acronym: string
+      }
+    },
+    hours: {
+      type: 'object',
+      properties: {
+        always: {
+          type: 'boolean'
+        },
+        weekly: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['days', 'open', 'close'],
+            properties: {
+              days: {
+                type: 'array',
+                items: {
+                  enum: hours.days
+                }
+              },
+              open: string,
+              close: string
+            }
+          }
+        },
+        exceptions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['date'],
+            properties: {
+              date: string,
+              closed: {
+                type: 'boolean'
+              },
+              open: string,
+              close: string
+            }
+          }
+        },
+        timezone: string,
+        note: string,
+        text: {
+          description: 'The hours in words in the language of the service',
+          type: 'string'
+        }
+      }
+    },
+    contact: {
+      type: 'object',
+      required: ['type', 'href', 'display'],
+      properties: {
+        type: {
+          enum: contact.types
+        },
+        label: string,
+        number: string,
+        vanity: string,
+        keyword: string,
+        url: string,
+        address: string,
+        email: string,
+        languages: strings,
+        hours: ref('hours'),
+        href: {
+          description: 'The link to the contact point (tel:, sms:, mailto:, or https:)',
+          type: 'string'
+        },
+        display: {
+          description: 'The text of the link',
+          type: 'string'
+        },
+        caption: {
+          description: 'The label of phone and SMS contacts or false',
+          type: ['string', 'boolean']
+        }
+      }
+    },
+    section: {
+      type: 'object',
+      required: ['key', 'title', 'layout'],
+      properties: {
+        key: {
+          description: 'The section type (whatItIs) or the heading of a custom section',
+          type: 'string'
+        },
+        title: string,
+        layout: {
+          enum: ['prose', 'tip', 'cards', 'accordion']
+        },
+        content: {
+          description: 'The HTML of the section. Card sections have items instead.',
+          type: 'string'
+        },
+        type: {
+          description: 'The type of a tip (free, low-cost, health-insurance)',
+          type: 'string'
+        },
+        items: {
+          description: 'The "How to get in touch" items of card sections and the questions of accordion sections',
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['title'],
+            properties: {
+              type: string,
+              title: string,
+              body: string,
+              content: string,
+              contacts: list('contact')
+            }
+          }
+        }
+      }
+    },
+    summary: {
+      type: 'object',
+      required: ['id', 'slug', 'title', 'subtitle', 'status', 'page', 'href'],
+      properties: {
+        id: integer,
+        slug: string,
+        title: string,
+        subtitle: string,
+        status: {
+          enum: ['active', 'paused']
+        },
+        page: {
+          description: 'The path of the service page on the site',
+          type: 'string'
+        },
+        href: {
+          description: 'The path of the full detail of the service',
+          type: 'string'
+        },
+        providers: list('provider'),
+        categories: list('term'),
+        population: list('term'),
+        boroughs: {
+          description: 'The borough ids of the locations of the service',
+          type: 'array',
+          items: integer
+        },
+        eligible: list('term'),
+        lastReviewed: string
+      }
+    },
+    service: {
+      allOf: [ref('summary')],
+      type: 'object',
+      required: ['description', 'sections', 'locations', 'eligibility', 'translations'],
+      properties: {
+        description: string,
+        programProvider: string,
+        sections: list('section'),
+        locations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['address', 'borough', 'zip'],
+            properties: {
+              name: string,
+              address: string,
+              borough: ref('term'),
+              zip: string,
+              phone: string,
+              accessibility: string
+            }
+          }
+        },
+        eligibility: {
+          type: 'object',
+          properties: {
+            ages: {
+              type: 'object',
+              properties: {
+                min: integer,
+                max: integer
+              }
+            },
+            insurance: strings,
+            immigrationStatusRequired: {
+              type: 'boolean'
+            },
+            residencyRequired: {
+              type: 'boolean'
+            },
+            referralRequired: {
+              type: 'boolean'
+            }
+          }
+        },
+        reviewBy: string,
+        endDate: string,
+        translations: {
+          description: 'The translated text of the service keyed by locale code',
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['title', 'subtitle', 'sections'],
+            properties: {
+              title: string,
+              subtitle: string,
+              sections: list('section')
+            }
+          }
+        }
+      }
+    },
+    services: {
+      type: 'object',
+      required: ['api', 'count', 'services'],
+      properties: {
+        api: string,
+        count: integer,
+        services: list('summary')
+      }
+    },
+    terms: {
+      type: 'object',
+      required: ['categories', 'population', 'boroughs', 'eligibility', 'providers'],
+      properties: {
+        categories: list('term'),
+        population: list('term'),
+        boroughs: list('term'),
+        eligibility: list('term'),
+        providers: list('term')
+      }
+    },
+    meta: {
+      type: 'object',
+      required: ['api', 'version', 'generated', 'count', 'endpoints'],
+      properties: {
+        api: string,
+        version: {
+          description: 'The version of the site build (package.json)',
+          type: 'string'
+        },
+        generated: {
+          description: 'The date and time the API was generated (ISO 8601)',
+          type: 'string'
+        },
+        count: integer,
+        endpoints: {
+          type: 'object',
+          additionalProperties: string
+        }
+      }
+    }
+  }
+};
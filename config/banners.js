@@ -1,28 +1,36 @@
+/**
+ * The banner image of each page. Services are keyed by the file name of their
+ * content file in content/services and other pages by the file name of their
+ * view in src/views. Each banner needs the @desktop, @mobile, -low@desktop,
+ * -low@mobile, and @social images in dist/img/banners or src/img/banners.
+ * False means the page does not have a banner.
+ *
+ * @type {Object}
+ */
 module.exports = {
-  'About': 'about',
-  'The Crime Victim Assistance Program (CVAP)': 'a',
-  'Family Justice Centers': 'b',
-  'Program for Survivors of Torture': false,
-  'Mission: VetCheck': 'k',
-  'The Trevor Project': 'e',
-  'LGBT National Help Center': 'l',
-  'Mobile Treatment Services Accessible Through the Single Point of Access': 'n',
-  'Mobile Crisis Teams': 'm',
-  'Friendly Visiting and Friendly VOICES': 'g',
-  'Geriatric Mental Health Initiative': 'c',
-  'NYC Well': 'x',
-  'NYC Care': 'p',
-  'NYC Family Resource Centers': 'b',
-  'Early Childhood Mental Health Network': 'q',
-  'Comprehensive Psychiatric Emergency Services Program (CPEP) at Health + Hospitals': 'r',
-  'Clubhouses': false,
-  'School Mental Health Services': 's',
-  'Family Counseling': 'h',
-  'Drop-in Centers for Runaway and Homeless Youth': 'i',
-  'Syringe Service Programs': false,
-  'Naloxone': 't',
-  'Gotham Pride Health Centers': false,
-  '3-2-1 Impact': 'v',
-  'Mental Health Integrated in Primary Care': 'w',
-  'Child Use of Prescription Pain Relievers or Heroin': 'u'
-};
\ No newline at end of file
+  'about': 'about',
+  'crime-victim-assistance-program-cvap': false, // a, once a@social.jpg is exported
+  'family-justice-centers': 'b',
+  'program-for-survivors-of-torture': false,
+  'mission-vetcheck': 'k',
+  'the-trevor-project': 'e',
+  'lgbt-national-help-center': 'l',
+  'mobile-treatment-services-accessible-through-the-single-point-of-access': 'n',
+  'mobile-crisis-teams': 'm',
+  'friendly-visiting-and-friendly-voices': 'g',
+  'geriatric-mental-health-initiative': 'c',
+  'nyc-well': 'x',
+  'nyc-care': 'p',
+  'early-childhood-mental-health-network': 'q',
+  'comprehensive-psychiatric-emergency-services-program-cpep-at-health-hospitals': 'r',
+  'clubhouses': false,
+  'school-mental-health-services': 's',
+  'family-counseling': 'h',
+  'dropin-centers-for-runaway-and-homeless-youth': 'i',
+  'syringe-service-programs': false,
+  'naloxone': 't',
+  'gotham-pride-health-centers': false,
+  '321-impact': 'v',
+  'mental-health-integrated-in-primary-care': 'w',
+  'child-use-of-prescription-pain-relievers-or-heroin': 'u'
+};
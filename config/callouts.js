@@ -0,0 +1,33 @@
+/**
+ * Callouts promote other services and resources on service pages. Each
+ * callout is shown in a slot of the page on the services it targets;
+ *
+ * id       - a unique slug used for the anchor of the callout and its
+ *            translations in content/locales/{{ code }}.yml
+ * slot     - where the callout is placed; top (before the first section),
+ *            afterHowToGetInTouch, or bottom (after the last section)
+ * title    - the title of the callout
+ * content  - the HTML of the callout. {{ this.root }} is replaced with the
+ *            site root.
+ * include  - the categories, population, and services (by id) the callout is
+ *            shown on. Callouts without include rules are shown on every
+ *            service.
+ * exclude  - the categories, population, and services (by id) the callout is
+ *            never shown on. Exclude rules win over include rules.
+ *
+ * Callouts in the same slot are shown in the order they are listed.
+ *
+ * @type {Array}
+ */
+module.exports = [
+  {
+    id: 'drug-alcohol-use-services',
+    slot: 'bottom',
+    title: 'Drug & Alcohol Use Services',
+    content: `
+      <p>The City has many <a href="{{ this.root }}/services/index?cat[]=6" tabindex='-1'>free and low-cost substance use services</a>.</p>
+
+      <p>You can also learn more from <a href="https://www1.nyc.gov/site/doh/health/health-topics/alcohol-and-drug-use.page" target="_blank" rel="nofollow noopener" tabindex='-1'>NYC Health</a> or call NYC Well at <a href="tel:8886929355" tabindex='-1'>(888) NYC-WELL</a> for more details.</p>
+    `
+  }
+];
@@ -0,0 +1,49 @@
+/**
+ * Rules for the HTML in the body of each service. The body is injected into
+ * the page without escaping so the services lint command checks it against
+ * these rules.
+ *
+ * tags        - the tags that may be used in content
+ * attributes  - the attributes that may be used on any tag (*) and on each
+ *               tag. Event handlers (onclick) and style are never allowed.
+ * schemes     - the schemes links may use. Links without a scheme (relative
+ *               paths and #anchors) are allowed.
+ * classes     - the classes that may be used in content
+ * headings    - the level of the heading each field is under on the page.
+ *               Headings in the content of a field start one level below it.
+ *
+ * @type {Object}
+ */
+module.exports = {
+  tags: [
+    'a',
+    'br',
+    'div',
+    'em',
+    'h3',
+    'h4',
+    'li',
+    'ol',
+    'p',
+    'strong',
+    'ul'
+  ],
+  attributes: {
+    '*': ['class'],
+    a: ['href', 'target', 'rel', 'title']
+  },
+  schemes: [
+    'http',
+    'https',
+    'mailto',
+    'tel',
+    'sms'
+  ],
+  classes: [
+    'list-unordered--check'
+  ],
+  headings: {
+    content: 2,
+    body: 3
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * Dependencies
+ */
+
+let fs = require('fs');
+let path = require('path');
+
+let registry = require('./locales.json');
+let content = require('../bin/util/content');
+
+/**
+ * Human translations for each locale are in content/locales/{{ path }}.yml
+ *
+ * @type {String}
+ */
+let directory = path.join(__dirname, '../content/locales');
+
+/**
+ * Each locale in the registry with its path and translations. The path is the
+ * lowercase code (zh-cn) used for URLs and content directories. Translations
+ * are optional;
+ *
+ * strings         - interface strings, keyed by their English text
+ * about           - the title and Markdown content of the about page
+ * callouts        - the title and Markdown content of each callout in
+ *                   config/callouts.js, keyed by the id of the callout
+ *
+ * Pages that are not translated fall back to English and the Google Translate
+ * widget.
+ *
+ * @type {Array}
+ */
+let locales = registry.map(entry => {
+  let locale = Object.assign({}, entry, {path: entry.code.toLowerCase()});
+  let file = path.join(directory, `${locale.path}.yml`);
+  let data = (fs.existsSync(file)) ? content.data(file) : {};
+
+  locale.strings = data.strings || {};
+
+  if (data.about) {
+    locale.about = {
+      title: data.about.title,
+      content: content.html(data.about.content || '')
+    };
+  }
+
+  locale.callouts = {};
+
+  Object.keys(data.callouts || {}).forEach(id => {
+    locale.callouts[id] = {
+      title: data.callouts[id].title,
+      content: content.html(data.callouts[id].content || '')
+    };
+  });
+
+  return locale;
+});
+
+module.exports = locales;
@@ -0,0 +1,377 @@
+/**
+ * Dependencies
+ */
+
+const contact = require('../bin/util/contact');
+const dates = require('../bin/util/dates');
+const eligibility = require('../bin/util/eligibility');
+const hours = require('../bin/util/hours');
+
+const sections = require('./sections');
+
+/**
+ * Schema for each service loaded from content/services by config/services.js.
+ * This is read by the services validate command before any views or data are
+ * written.
+ *
+ * Nodes support the following keys;
+ * type        - string, number, boolean, array, or object
+ * required    - the key must be present (and not empty)
+ * enum        - a list of accepted values
+ * icon        - the value must match an svg in src/svg named icon-{{ value }}.svg
+ * ref         - a taxonomy registry the object id must resolve to (categories,
+ *               population, boroughs, providers)
+ * check       - a function that returns an error message for the value or false
+ * min         - the minimum length of an array
+ * items       - the schema for each item of an array
+ * properties  - the schema for each key of an object
+ * additional  - set to false to reject keys not described in properties
+ *
+ * @type {Object}
+ */
+
+const string = {
+  type: 'string'
+};
+
+const required = {
+  type: 'string',
+  required: true
+};
+
+const date = {
+  type: 'string',
+  check: (value) => (dates.valid(value)) ? false : `"${value}" should be a date in YYYY-MM-DD format`
+};
+
+const age = {
+  type: 'number',
+  check: (value) => (Number.isInteger(value) && value >= 0) ? false : `${value} is not an age`
+};
+
+const id = {
+  type: 'number',
+  required: true,
+  check: (value) => (Number.isInteger(value) && value > 0) ? false : `${value} should be a whole number more than 0`
+};
+
+const slug = {
+  type: 'string',
+  required: true,
+  check: (value) => (/^[a-z0-9]+(-[a-z0-9]+)*$/.test(value)) ? false :
+    `"${value}" should only have lowercase letters, numbers, and single dashes`
+};
+
+const section = {
+  type: 'object',
+  properties: {
+    title: required,
+    content: required
+  }
+};
+
+const accordion = {
+  type: 'object',
+  properties: {
+    title: required,
+    content: required,
+    items: {
+      type: 'array',
+      min: 1,
+      items: section
+    }
+  }
+};
+
+/**
+ * Sections of the body that don't have a node of their own use the node of
+ * their layout in config/sections.js
+ *
+ * @param   {Object}  properties  The nodes of sections with their own node
+ *
+ * @return  {Object}              The nodes of every section
+ */
+const body = (properties) => {
+  Object.keys(sections)
+    .filter(key => sections[key].layout !== 'locations' && !properties[key])
+    .forEach(key => properties[key] = (sections[key].layout === 'accordion') ? accordion : section);
+
+  return properties;
+};
+
+const opening = {
+  type: 'object',
+  check: hours.check,
+  additional: false,
+  properties: {
+    always: {
+      type: 'boolean'
+    },
+    weekly: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additional: false,
+        properties: {
+          days: {
+            type: 'array',
+            required: true,
+            min: 1,
+            items: {
+              type: 'string',
+              enum: hours.days
+            }
+          },
+          open: required,
+          close: required
+        }
+      }
+    },
+    exceptions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additional: false,
+        properties: {
+          date: required,
+          closed: {
+            type: 'boolean'
+          },
+          open: string,
+          close: string
+        }
+      }
+    },
+    timezone: string,
+    note: string,
+    text: string
+  }
+};
+
+const contactPoint = {
+  type: 'object',
+  check: contact.check,
+  properties: {
+    type: {
+      type: 'string',
+      required: true,
+      enum: contact.types
+    },
+    label: string,
+    number: string,
+    vanity: string,
+    keyword: string,
+    url: string,
+    address: string,
+    email: string,
+    hours: opening,
+    languages: {
+      type: 'array',
+      items: string
+    }
+  }
+};
+
+const location = {
+  type: 'object',
+  additional: false,
+  properties: {
+    name: string,
+    address: required,
+    borough: {
+      type: 'object',
+      required: true,
+      ref: 'boroughs',
+      properties: {
+        id: {
+          type: 'number',
+          required: true
+        }
+      }
+    },
+    zip: {
+      type: 'string',
+      required: true,
+      check: (zip) => (/^\d{5}$/.test(zip)) ? false : `"${zip}" is not a 5 digit ZIP code`
+    },
+    phone: {
+      type: 'string',
+      check: (number) => contact.check({type: 'phone', number: number})
+    },
+    accessibility: string,
+    map: string,
+    tel: {
+      type: 'object'
+    }
+  }
+};
+
+const term = (ref, properties = {}) => ({
+  type: 'object',
+  ref: ref,
+  properties: Object.assign({
+    id: {
+      type: 'number',
+      required: true
+    },
+    name: required,
+    slug: string
+  }, properties)
+});
+
+module.exports = {
+  type: 'object',
+  properties: {
+    id: id,
+    title: required,
+    slug: slug,
+    subtitle: required,
+    metaDescription: string,
+    programProvider: string,
+    status: {
+      type: 'string',
+      enum: ['active', 'paused', 'retired']
+    },
+    lastReviewed: date,
+    reviewBy: date,
+    endDate: date,
+    sections: {
+      type: 'array',
+      items: string
+    },
+    body: {
+      type: 'object',
+      required: true,
+      additional: false,
+      properties: body({
+        whatItIs: Object.assign({required: true}, section),
+        whoItIsFor: section,
+        cost: {
+          type: 'object',
+          properties: {
+            title: required,
+            type: {
+              type: 'string',
+              required: true,
+              enum: ['free', 'low-cost', 'health-insurance'],
+              icon: true
+            },
+            content: required
+          }
+        },
+        howToGetInTouch: {
+          type: 'object',
+          required: true,
+          properties: {
+            title: required,
+            content: {
+              type: 'array',
+              required: true,
+              min: 1,
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    required: true,
+                    enum: ['calling', 'texting', 'website', 'online-chat', 'location'],
+                    icon: true
+                  },
+                  title: required,
+                  body: string,
+                  contacts: {
+                    type: 'array',
+                    items: contactPoint
+                  }
+                }
+              }
+            }
+          }
+        }
+      })
+    },
+    featured: {
+      type: 'array',
+      items: term('population', {
+        order: {
+          type: 'number'
+        }
+      })
+    },
+    related: {
+      type: 'array',
+      items: string
+    },
+    eligibility: {
+      type: 'object',
+      additional: false,
+      properties: {
+        ages: {
+          type: 'object',
+          additional: false,
+          check: eligibility.check,
+          properties: {
+            min: age,
+            max: age
+          }
+        },
+        insurance: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: eligibility.insurance
+          }
+        },
+        immigrationStatusRequired: {
+          type: 'boolean'
+        },
+        residencyRequired: {
+          type: 'boolean'
+        },
+        referralRequired: {
+          type: 'boolean'
+        }
+      }
+    },
+    categories: {
+      type: 'array',
+      required: true,
+      min: 1,
+      items: {
+        type: 'object',
+        ref: 'categories',
+        properties: {
+          id: {
+            type: 'number',
+            required: true
+          }
+        }
+      }
+    },
+    population: {
+      type: 'array',
+      required: true,
+      min: 1,
+      items: term('population')
+    },
+    providers: {
+      type: 'array',
+      required: true,
+      min: 1,
+      items: {
+        type: 'object',
+        ref: 'providers',
+        properties: {
+          id: {
+            type: 'number',
+            required: true
+          }
+        }
+      }
+    },
+    locations: {
+      type: 'array',
+      items: location
+    }
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * The types of sections a service page can have. The key is used for the body
+ * of the service and the label is the ## heading in the content file. Sections
+ * are shown in the order they are written in the content file and in the jump
+ * navigation with the same order;
+ *
+ * label   - the heading of the section and the label of the jump navigation
+ * layout  - how the section is shown on the page;
+ *           prose     - the heading and the content
+ *           tip       - a tip with a sticker icon. Tips that follow each other
+ *                       are shown side by side.
+ *           cards     - a card for each "How to get in touch" item
+ *           accordion - each ### heading of the content is a collapsible item
+ *                       (for questions and answers)
+ *           locations - the locations in the front matter of the service. It
+ *                       follows the "How to get in touch" section and doesn't
+ *                       have a heading in the content file.
+ * color   - the color of the jump navigation link
+ * icon    - the sticker icon of a tip. Tips with a type (Cost) use the icon of
+ *           their type.
+ * theme   - the background and text classes of a tip
+ *
+ * @type {Object}
+ */
+module.exports = {
+  whatItIs: {
+    label: 'What it is',
+    layout: 'prose',
+    color: 'orange'
+  },
+  whoItIsFor: {
+    label: 'Who it’s for',
+    layout: 'tip',
+    color: 'magenta',
+    icon: 'icon-lightbulb',
+    theme: 'bg-primary'
+  },
+  cost: {
+    label: 'Cost',
+    layout: 'tip',
+    color: 'blue',
+    theme: 'bg-gray-light text-black'
+  },
+  whatToExpect: {
+    label: 'What to expect',
+    layout: 'prose',
+    color: 'green'
+  },
+  howToGetInTouch: {
+    label: 'How to get in touch',
+    layout: 'cards',
+    color: 'red'
+  },
+  locations: {
+    label: 'Locations',
+    layout: 'locations',
+    color: 'teal'
+  },
+  languagesAvailable: {
+    label: 'Languages available',
+    layout: 'prose',
+    color: 'teal'
+  },
+  faq: {
+    label: 'Frequently asked questions',
+    layout: 'accordion',
+    color: 'yellow'
+  },
+  otherWaysToGetHelp: {
+    label: 'Other ways to get help',
+    layout: 'prose',
+    color: 'yellow'
+  }
+};
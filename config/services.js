@@ -1,2373 +1,365 @@
-module.exports = [
-  {
-    title: 'Mobile Crisis Teams',
-    subtitle: 'Teams of mental health professionals that can come to your home if you’re experiencing a psychological crisis',
-    metaDescription: 'Mobile Crisis Teams consist of mental health professionals that can come to your home if you’re experiencing a psychological crisis.',
-    programProvider: 'Department of Health and Mental Hygiene (DOHMH)',
-    sections: [
-      'What it is',
-      'Who it’s for',
-      'Cost',
-      'How to get in touch',
-      'Other ways to get help',
-    ],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>Anyone who is experiencing a mental health crisis can reach out to NYC Well to consider a mobile crisis team.</p>
-
-          <p>Mobile crisis teams are groups of health professionals, such as nurses, social workers, and psychiatrists, who can provide mental health services in your home.</p>
-
-          <p>Depending on what a person is willing to accept, the teams may offer a range of services during and immediately following a crisis, including:</p>
-
-          <div class="list-unordered--check">
-            <ul>
-              <li>Assessment</li>
-
-              <li>Crisis intervention</li>
-
-              <li>Supportive counseling</li>
-
-              <li>Information and referrals, including to community-based mental health services</li>
-            </ul>
-          </div>
-
-          <p>If a mobile crisis team determines that a person in crisis needs further psychiatric or medical assessment, they can transport that person to a hospital psychiatric emergency room.</p>
-          <p>Mobile crisis teams may direct police to take a person to an emergency room against their will only if they have a mental illness (or the appearance of mental illness) and are a danger to themselves or others. This is under the NYS Mental Hygiene Law.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>A person is eligible to receive MCT services if: the person is in New York City and is experiencing, or is at risk of, a behavioral health crisis.</p>
-          <p>A behavioral health crisis is a non-life-threatening situation in which a person experiences an intense behavioral, emotional, or psychiatric response that may be triggered by a precipitating event.</p>
-          <p>You can request a team for yourself or someone you know. Teams serve adults and children.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'health-insurance',
-        content: `
-          <p>You do not need insurance to get services from a Mobile Crisis Team.</p>
-
-          <p>If you do have insurance, it will be billed.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'website',
-            body: `
-            <h3>Call <a href="tel:8886929355">888-NYC-WELL (888-692-9355)</a> to request a mobile crisis team</h3>
-
-            <div class="list-unordered--check">
-              <ul>
-                <li>Ask about “mobile crisis teams”.</li>
-
-                <li>Available 8:00am to 8:00pm seven days a week.</li>
-              </ul>
-            </div>
-          `,
-          },
-        ],
-      },
-      otherWaysToGetHelp: {
-        title: 'Other ways to get help',
-        content: `
-          <p>Learn more about <a href="https://www1.nyc.gov/site/doh/health/health-topics/crisis-emergency-services-mobile-crisis-teams.page" target="_blank" rel="noopener nofollow">Mobile Crisis Teams</a>.</p>
-
-          <p>Visit <a href="https://nycwell.cityofnewyork.us/en/crisis-services/know-who-to-call/" target="_blank" rel="noopener nofollow">NYC Well</a> to learn more about who else to call during a crisis.</p>
-        `,
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 3,
-        name: 'Crisis Support',
-      },
-      {
-        id: 10,
-        name: 'Care for Serious Mental Illness',
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: 'Everyone',
-      }
-    ],
-  },
-  {
-    title: 'NYC Well',
-    subtitle: 'NYC Well is your connection to free, confidential mental health support. Speak to a counselor via phone, text, or chat and get access to mental health and substance use services, in more than 200 languages.',
-    metaDescription: 'NYC Well is your connection to free, confidential mental health support and substance use services.',
-    programProvider: 'Department of Health and Mental Hygiene (DOHMH)',
-    sections: [
-      'What it is',
-      'Who it’s for',
-      'Cost',
-      'How to get in touch',
-      'Other ways to get help',
-    ],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>In New York City, support is always available if you’re experiencing anxiety, a crisis, grieving the loss of someone, or need support during a difficult moment. NYC Well counselors and peer support specialists can listen to your concerns.</p>
-
-          <p>Counselors can give you immediate support for problems like:</p>
-
-          <div class="list-unordered--check">
-            <ul>
-              <li>Stress, depression, anxiety, drug and alcohol use</li>
-
-              <li>Crisis counseling and suicide prevention counseling</li>
-
-              <li>Support from Peer Specialists, who have personal experience with mental health or substance use challenges</li>
-            </ul>
-          </div>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>New Yorkers of all ages can call NYC Well. You can call NYC Well for yourself, or on behalf of someone you know.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>Free</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3>Talk to a counselor</h3>
-
-            <div class="list-unordered--check">
-              <ul>
-                <li><a href="tel:8886929355">(888) NYC-WELL (888-692-9355)</a></li>
-
-                <li>It’s free, confidential, and available 24 hours a day, 7 days a week.</li>
-              </ul>
-            </div>
-          `,
-          },
-          {
-            type: 'texting',
-            body: `
-            <h3>Text a counselor</h3>
-
-            <div class="list-unordered--check">
-              <ul>
-                <li>Text 'WELL' to 65173</li>
-              </ul>
-            </div>
-          `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3>Chat with a counselor online</h3>
-
-            <div class="list-unordered--check">
-              <ul>
-                <li>Go to <a href="https://nycwell.cityofnewyork.us/en/" target="_blank" rel="noopener nofollow">NYC Well</a></li>
-              </ul>
-            </div>
-          `,
-          },
-        ],
-      },
-      otherWaysToGetHelp: {
-        title: 'Other ways to get help',
-        content: `
-          <p>Check out NYC Well’s App Library <a href="https://nycwell.cityofnewyork.us/en/app-library/" target="_blank" rel="noopener nofollow">here</a>, whether you want to explore the world of mental health and wellness on your own, or if you’re looking to continue to build the skills taught by NYC Well staff.</p>
-          <p>Search the NYC Well database <a href="https://nycwell.cityofnewyork.us/en/find-services/" target="_blank" rel="noopener nofollow">here</a> for behavioral health and substance use services.</p>
-          <p>Learn more from <a href="https://nycwell.cityofnewyork.us/en/" target="_blank" rel="noopener nofollow">nyc.gov/nycwell</a></p>
-        `,
-      },
-    },
-    featured: [
-      {
-        id: 6,
-        name: 'Everyone',
-      },
-      {
-        id: 8,
-        name: 'Adults',
-      },
-    ],
-    categories: [
-      {
-        id: 3,
-        name: 'Crisis Support',
-      },
-      {
-        id: 5,
-        name: 'Help with Anxiety',
-      },
-      {
-        id: 4,
-        name: 'Grief Support',
-      },
-      {
-        id: 6,
-        name: 'Substance Use Services',
-      },
-      {
-        id: 10,
-        name: 'Care for Serious Mental Illness',
-      },
-      {
-        id: 7,
-        name: 'Peer Support',
-      },
-      {
-        id: 8,
-        name: 'Counseling',
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: "Everyone",
-      },
-      {
-        id: 5,
-        name: "Children and Youth",
-      },
-      {
-        id: 2,
-        name: "Families",
-      },
-      {
-        id: 3,
-        name: "LGBTQ New Yorkers",
-      },
-      {
-        id: 8,
-        name: "Adults",
-      },
-      {
-        id: 4,
-        name: "Seniors",
-      },
-      {
-        id: 7,
-        name: "Immigrants",
-      },
-      {
-        id: 1,
-        name: "Veterans",
-      }
-    ],
-  },
-  {
-    title: 'Crime Victim Assistance Program (CVAP)',
-    subtitle:
-      'The Crime Victim Assistance Program (CVAP) connects victims of crime, violence, or abuse to advocates who can connect them to mental health support, benefits, and other services.',
-    metaDescription: 'The Crime Victim Assistance Program (CVAP) serves victims of crime, violence, or abuse. CVAP Advocates connect victims to mental health support, benefits, and other services.',
-    programProvider: 'NYPD, Safe Horizon, and Mayor’s Office of Criminal Justice (MOCJ)',
-    sections: [
-      'What it is',
-      'Who it’s for',
-      'Cost',
-      'How to get in touch',
-      'Other ways to get help',
-    ],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>If you've been harmed by crime, violence, or abuse, you can get mental health support. Advocates from the Crime Victim Assistance Program can help you get mental health assistance, navigate the legal system, and find ways to feel safe again.</p>
-
-          <p>Victim advocates:</p>
-
-          <div class="list-unordered--check">
-            <ul>
-              <li>Talk with you about your safety concerns, rights, and options</li>
-
-              <li>Connect you to mental health support and other resources</li>
-
-              <li>Advocate on your behalf for practical needs like housing and benefits</li>
-            </ul>
-          </div>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Anyone can contact a victim advocate for help.</p>
-          `,
-        },
-        cost: {
-          title: 'Cost',
-          type: 'free',
-          content: `
-          <p>Free</p>
-          `,
-        },
-        howToGetInTouch: {
-          title: 'How to get in touch',
-          content: [
-            {
-              type: 'website',
-              body: `
-            <h3><a href="https://www1.nyc.gov/site/nypd/services/victim-services/cvap.page" target="_blank" rel="noopener nofollow">Call a victim advocate near you</a></h3>
-            <p>You can find a victim advocate in all NYPD precincts. Advocates can assist you in any language.</p>
-          `,
-          },
-        ],
-      },
-      otherWaysToGetHelp: {
-        title: 'Other ways to get help',
-        content: `
-          <p>Call the City's 24-hour Domestic Violence Hotline at <a href="tel:8006214673">800-621-HOPE</a> for immediate safety planning, shelter assistance, and other resources.</p>
-
-          <p>TTY: 800-810-7444</p>
-        `,
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 1,
-        name: 'Trauma Support',
-      },
-      {
-        id: 3,
-        name: "Crisis Support",
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: 'Everyone',
-      }
-    ],
-  },
-  {
-    title: 'Mission: VetCheck',
-    subtitle:
-      'Mission: VetCheck connects veterans to trained volunteers through one-on-one supportive check-in calls.',
-    programProvider:
-      'NYC Department of Veterans’ Services (DVS) and Mayor’s Office of Community Mental Health (OCMH)',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>As a veteran, you can request a supportive check-in call from a trained volunteer through Mission: VetCheck. Check-ins give you one-on-one support and help you get information on accessing vital public services like:</p>
-
-          <div class="list-unordered--check">
-            <ul>
-              <li>mental health resources</li>
-              <li>free meals</li>
-              <li>COVID-19 vaccine locations</li>
-              <li>housing</li>
-              <li>emergency financial assistance</li>
-            </ul>
-          </div>
-
-          <p>VetCheck check-ins are not a substitute for immediate or life-threatening concerns.  For acute needs, volunteers can connect veterans to the Department of Veterans’ Services outreach team who can provide more intensive support.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Mission: VetCheck is available to veterans across New York City.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>Free</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'website',
-            body: `
-            <h3>Request a Check-in by <a href="https://mentalhealth.cityofnewyork.us/mission-vetcheck" target="_blank" rel="noopener nofollow">filling out this form.</a> Check-ins happen weekly.</h3>
-          `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3>If you’d like to volunteer with Mission: VetCheck, you can sign up <a href="https://mentalhealth.cityofnewyork.us/mission-vetcheck" target="_blank" rel="noopener nofollow">here</a>.</h3>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [
-      {
-        id: 1,
-        name: 'Veterans',
-      },
-    ],
-    categories: [
-      {
-        id: 1,
-        name: 'Trauma Support',
-      },
-      {
-        id: 5,
-        name: 'Help with Anxiety',
-      },
-      {
-        id: 7,
-        name: "Peer Support",
-      },
-    ],
-    population: [
-      {
-        id: 1,
-        name: 'Veterans',
-      },
-    ],
-  },
-  {
-    title: 'Family Justice Centers',
-    subtitle:
-      'NYC Family Justice Centers connect survivors of domestic and gender-based violence to mental health, legal, and social services.',
-    programProvider: "Mayor's Office to End Domestic and Gender-Based Violence (ENDGBV) and NYC Health + Hospitals",
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch', 'Other ways to get help',],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>If you’re a survivor of domestic and gender-based violence, a Family Justice Center (FJC) can help. This includes sexual violence, human trafficking, stalking, intimate partner violence, and more.</p>
-
-          <p>Family Justice Centers offer legal and social service support for survivors and their families, as well as mental health support including:</p>
-
-          <div class="list-unordered--check">
-            <ul>
-              <li>Crisis counseling and connections to ongoing support</li>
-
-              <li>Legal help for orders of protection, custody, visitation, child support, divorce, housing, and immigration</li>
-
-              <li>Individual and group therapy</li>
-
-              <li>Safety planning</li>
-            </ul>
-          </div>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>All survivors are welcome regardless of age, language, income, sexual orientation, gender identity, disability, or immigration status.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>Free</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3><a href="https://www1.nyc.gov/site/ocdv/programs/family-justice-centers.page" target="_blank" rel="noopener nofollow">Call a Family Justice Center</a></li></h3>
-
-            <p>There’s a Family Justice Center in every borough.</p>
-
-            <p>Family Justice Centers are providing remote services, and limited in-person services by appointment only for clients citywide that cannot engage in remote services safely or effectively.</p>
-
-            <p>Survivors can still reach the Centers directly Monday to Friday, 9 a.m. to 5 p.m. on the FJC phone lines.</p>
-
-            <div class="list-unordered--check">
-              <ul>
-                <li>Brooklyn: <a href="tel:7182505113">718-250-5113</a></li>
-                <li>Bronx: <a href="tel:7185081220">718-508-1220</a></li>
-                <li>Manhattan: <a href="tel:2126022800">212-602-2800</a></li>
-                <li>Queens: <a href="tel:7185754545">718-575-4545</a></li>
-                <li>Staten Island: <a href="tel:7186974300">718-697-4300</a></li>
-              </ul>
-            </div>
-          `,
-          },
-          {
-            type: 'calling',
-            body: `
-            <h3>Call <a href="tel:311">311</a></h3>
-
-            <div class="list-unordered--check">
-              <ul>
-                <li>Ask about “Family Justice Centers”</li>
-              </ul>
-            </div>
-          `,
-          },
-          {
-            type: 'calling',
-            body: `
-            <h3>Call the City's 24-hour Domestic Violence Hotline at <a href="tel:8006214673">800-621-HOPE (4673)</a> for immediate safety planning, shelter assistance, and other resources.</h3>
-
-            <div class="list-unordered--check">
-              <ul>
-                <li>TTY: <a href="tel:8008107444">800-810-7444</a></li>
-              </ul>
-            </div>
-          `,
-          },
-        ],
-      },
-      otherWaysToGetHelp: {
-        title: 'Other ways to get help',
-        content: `
-          <h3>Find resources and support in NYC by searching the City's <a href="https://www1.nyc.gov/nychope/site/page/home" target="_blank" rel="noopener nofollow">NYC HOPE Resource Directory</a></h3>
-        `,
-      },
-    },
-    featured: [
-      {
-        id: 2,
-        name: 'Families',
-      },
-    ],
-    categories: [
-      {
-        id: 1,
-        name: 'Trauma Support',
-      },
-      {
-        id: 5,
-        name: "Help with Anxiety",
-      },
-      {
-        id: 4,
-        name: "Grief Support",
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: 'Everyone',
-      }
-    ],
-  },
-  {
-    title: 'Geriatric Mental Health Initiative',
-    subtitle:
-      'New Yorkers age 60 and older can get mental health screenings, on-site counseling, and referrals at senior centers near them.',
-    programProvider: 'Department for the Aging (DFTA)',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>If you’re an older adult who needs mental health support, you can speak to a mental health clinician at a senior center near you.</p>
-
-          <p>Mental health clinicians can screen you for depression, provide on-site counseling, and give referrals. They can also talk to you about anxiety and depression.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Adults who are age 60 or older can see a mental health clinician.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>Free</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'website',
-            body: `
-            <h3><a href="https://www1.nyc.gov/site/dfta/services/find-help.page" target="_blank" rel="noopener nofollow">Find a senior center with a mental health clinician</a></li></h3>
-
-            <div class="list-unordered--check">
-              <ul>
-                <li>Search for “Geriatric Mental Health” under <strong>Services</strong>. </li>
-                <li>Choose a location from the results and call them for more information.</li>
-              </ul>
-            </div>
-          `,
-          },
-          {
-            type: 'calling',
-            body: `
-            <h3>Call AGING Connect at <a href="tel:2122446469">212-244-6469</a> and ask about Geriatric Mental Health</h3>
-          `,
-          },
-          {
-            type: 'calling',
-            body: `
-            <h3>Learn more at <a href="https://www1.nyc.gov/site/dfta/services/thrivenyc-at-dfta.page" target="_blank" rel="noopener nofollow"> Department for the Aging</a>.</h3>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [
-      {
-        id: 4,
-        name: 'Seniors',
-      },
-    ],
-    categories: [
-      {
-        id: 5,
-        name: 'Help with Anxiety',
-      },
-      {
-        id: 10,
-        name: 'Care for Serious Mental Illness',
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-    ],
-    population: [
-      {
-        id: 4,
-        name: 'Seniors',
-      },
-    ],
-  },
-  {
-    title: 'Friendly Visiting and Friendly VOICES',
-    subtitle:
-      'Older New Yorkers who feel isolated can connect with a peer to talk about shared interests.',
-    metaDescription: 'Friendly Programs connect older New Yorkers who feel isolated or lonely with peers to talk about shared interests.',
-    programProvider: 'Department for the Aging (DFTA)',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>If you’re an older adult feeling isolated or lonely, experiencing depression or anxiety, or just looking to talk to someone, the Friendly Programs can help. </p>
-
-          <p><strong>Friendly Visiting</strong> is a program for homebound older adults who have ongoing health challenges that make it difficult for them to go out. </p>
-          <p>You can get paired with a volunteer visitor or peer who is close to your age. A volunteer can visit you in your home to talk about shared interests and experiences. You may also join a virtual group to talk with others.</p>
-          <p><strong>Friendly VOICES</strong> is a program for older adults who are isolated for other reasons (such as COVID-19).</p>
-          <p>You’ll be matched with a volunteer whom you can keep in touch by phone or video calls. You also have the option to join a virtual group or be matched with a peer close to your age.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>The Friendly Programs are open to older adults.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>Free</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3>Call AGING Connect at <a href="tel:2122446469">212-244-6469</a> and ask about the Friendly Programs.</h3>
-          `,
-          },
-          {
-            type: 'calling',
-            body: `
-            <h3><a href="https://www.surveymonkey.com/r/G8VSSVS" target="_blank" rel="noopener nofollow">Fill out the interest form to enroll in Friendly VOICES.</a> You’ll be contacted with next steps.</h3>
-          `,
-          },
-        ],
-      },
-      otherWaysToGetHelp: {
-        title: 'Other ways to get help',
-        content: `
-          <p>Learn more online from the <a href="https://www1.nyc.gov/site/dfta/services/friendly-programs.page" target="_blank" rel="noopener nofollow">Department for the Aging</a></p>
-        `,
-      },
-    },
-    featured: [
-      {
-        id: 4,
-        name: 'Seniors',
-      },
-    ],
-    categories: [
-      {
-        id: 7,
-        name: 'Peer Support',
-      },
-    ],
-    population: [
-      {
-        id: 4,
-        name: 'Seniors',
-      },
-    ],
-  },
-  {
-    title: 'Program for Survivors of Torture',
-    subtitle:
-      'Immigrants who survived torture and are applying for asylum can access medical, mental health, and other services.',
-    metaDescription: 'The Program for Survivors of Torture connects immigrants who survived torture to medical, mental health, and other services.',
-    programProvider: 'Bellevue and NYC Health + Hospitals',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>If you are someone who was tortured or persecuted by your family or another person, help is available.</p>
-
-          <p>The Program for Survivors of Torture (PSOT) at NYC Health + Hospitals and Bellevue assists individuals and families who survived torture and human rights abuses.</p>
-          <p>You can get:</p>
-
-          <div class="list-unordered--check">
-          <ul>
-            <li><strong>Medical services</strong> including labs and referrals to specialists.</li>
-            <li><strong>Mental health services</strong> like group therapy, psychiatric support, and more.</li>
-            <li><strong>Social services</strong> like housing support, English classes, and more.</li>
-            <li><strong>Legal services</strong> to help you obtain asylum.</li>
-          </ul>
-        </div>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>If you’ve already applied for asylum in the United States or plan to apply for asylum, you may be eligible.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>Free</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'website',
-            body: `
-            <h3>If you or someone you know is interested in becoming a client, complete a <a href="https://docs.google.com/forms/d/e/1FAIpQLSc2QK6MtLyn1zCkzP1XeYbMZxN7T9xDzkliJ7jAmWwPGls9Uw/viewform" target="_blank" rel="noopener nofollow">referral form</a>.</h3>
-          `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3>Email for more information <a href="mailto: info@survivorsoftorture.org" target="_blank" rel="noopener nofollow">info@survivorsoftorture.org.</a></h3>
-          `,
-          },
-        ],
-      },
-      otherWaysToGetHelp: {
-        title: 'Other ways to get help',
-        content: `
-          <p>Learn more from <a href="https://www.survivorsoftorture.org/" target="_blank" rel="noopener nofollow">survivorsoftorture.org</a></p>
-        `,
-      },
-    },
-    featured: [
-      {
-        id: 7,
-        name: "Immigrants",
-      },
-    ],
-    categories: [
-      {
-        id: 1,
-        name: 'Trauma Support',
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-    ],
-    population: [
-      {
-        id: 2,
-        name: 'Families',
-      },
-      {
-        id: 5,
-        name: "Children and Youth",
-      },
-      {
-        id: 8,
-        name: 'Adults',
-      },
-      {
-        id: 7,
-        name: 'Immigrants',
-      },
-    ],
-  },
-  {
-    title: 'Clubhouses',
-    subtitle:
-      'People who experience serious mental illness can go to a Clubhouse to connect with peers and get access to opportunities.',
-    programProvider: 'Department of Health and Mental Hygiene (DOHMH)',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>Clubhouses are evidence-based models of psychiatric rehabilitation – one-stop places that help people with serious mental illness by providing:</p>
-
-          <div class="list-unordered--check">
-            <ul>
-              <li>peer support</li>
-              <li>access to services</li>
-              <li>employment and educational opportunities</li>
-              <li>socialization and recreation in a safe, restorative and structured setting</li>
-            </ul>
-          </div>
-          <p>Research shows that the Clubhouse model reduces hospitalization and justice involvement and improves health and wellness.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>If you’re an adult with a history of serious mental illness, a clubhouse can offer a supportive environment for you.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>Clubhouses are free for people to access.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-              <h3>Call <a href="tel:888NYCWell">888-NYC-Well</a> and ask for a Clubhouse near you.</h3>
-          `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3>Visit the <a href="https://nycwell.cityofnewyork.us/en/find-services/" target="_blank" rel="noopener nofollow">NYC Well service directory</a> to find a clubhouse. Search for "Clubhouse"</h3>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [
-      {
-        id: 8,
-        name: 'Adults',
-      },
-    ],
-    categories: [
-      {
-        id: 1,
-        name: "Trauma Support",
-      },
-      {
-        id: 7,
-        name: 'Peer Support',
-      },
-      {
-        id: 3,
-        name: "Crisis Support",
-      },
-      {
-        id: 5,
-        name: "Help with Anxiety",
-      },
-      {
-        id: 4,
-        name: "Grief Support",
-      },
-      {
-        id: 10,
-        name: "Care for Serious Mental Illness",
-      },
-    ],
-    population: [
-      {
-        id: 8,
-        name: 'Adults',
-      },
-      {
-        id: 4,
-        name: 'Seniors',
-      },
-      {
-        id: 1,
-        name: "Veterans",
-      },
-      {
-        id: 3,
-        name: "LGBTQ New Yorkers",
-      },
-      {
-        id: 7,
-        name: "Immigrants",
-      },
-    ],
-  },
-  {
-    title: 'NYC Care',
-    subtitle:
-    'New Yorkers who are ineligible for health insurance or can’t afford it can access low- or no- cost healthcare through NYC Care.',
-    programProvider: 'NYC Health + Hospitals',
-    sections: [
-      'What it is',
-      'Who it’s for',
-      'Cost',
-      'How to get in touch',
-      'Other ways to get help',
-    ],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>Health care is a human right. That’s why New York City guarantees health care for all New Yorkers – and that includes mental health care.</p>
-
-        <p>NYC Care is a health access program at NYC Health + Hospitals. As a NYC Care member, you can access your primary care provider at a care site near you.</p>
-        <p>You’ll also have access to a full suite of healthcare, including comprehensive mental health support at low- or no-cost.</p>
-        <p>There are NYC Care locations in all 5 boroughs.</p> <a href="https://www.nyccare.nyc/locations/" target="_blank" rel="noopener nofollow">Find a location near you.</a>
-
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>You may be eligible for NYC Care if:</p>
-          <div class="list-unordered--check">
-          <ul>
-          <li>You’re age 18 or older</li>
-          <li>You can’t afford or are ineligible for health insurance</li>
-          </ul>
-          </div>
-          `,
-        },
-      cost: {
-        title: 'Cost',
-        type: 'low-cost',
-        content: `
-        <p>NYC Care provides health care at low- or no-cost.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3>Call <a href="tel:646NYCCARE">646-NYC-CARE</a> to get more information or check your eligibility.</h3>
-            `,
-          },
-        ],
-      },
-      otherWaysToGetHelp: {
-        title: 'Other ways to get help',
-        content: `
-        <p>Learn more about NYC Care by visiting <a href="https://www.nyccare.nyc/" target="_blank" rel="noopener nofollow">nyccare.nyc</a></p>
-        `,
-      },
-    },
-    featured: [
-      {
-        id: 7,
-        name: "Immigrants",
-      },
-    ],
-    categories: [
-      {
-        id: 10,
-        name: 'Care for Serious Mental Illness',
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: "Everyone",
-      },
-      {
-        id: 2,
-        name: "Families",
-      },
-      {
-        id: 3,
-        name: "LGBTQ New Yorkers",
-      },
-      {
-        id: 8,
-        name: "Adults",
-      },
-      {
-        id: 4,
-        name: "Seniors",
-      },
-      {
-        id: 7,
-        name: "Immigrants",
-      },
-      {
-        id: 1,
-        name: "Veterans",
-      }
-    ],
-  },
-  {
-    title: 'Drop-in Centers for Runaway and Homeless Youth',
-    subtitle:
-    'Homeless and runaway youth who need food and other essentials can go to emergency drop-in centers throughout New York City.',
-    programProvider: 'Department of Youth and Community Development (DYCD)',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch', 'Other ways to get help',],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>If you’re age 14 – 24 and need emergency shelter, you can go to a Drop-in Center for essentials like:</p>
-
-        <div class="list-unordered--check">
-        <ul>
-        <li>Food</li>
-        <li>Clothing</li>
-        <li>Immediate shelter</li>
-        </ul>
-        </div>
-
-        <p>You can also get access to counseling, support, and referrals to relevant services.</a>
-
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-        <p>Youth age 14 – 24</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-        <p>Services at drop-in centers are provided at no cost.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'website',
-            body: `
-            <h3><a href="https://www1.nyc.gov/site/dycd/services/runaway-homeless-youth/borough-based-drop-in-centers.page" target="_blank" rel="noopener nofollow">Find a drop-in center near you.</a></h3>
-            <p>There are drop-in centers in every borough. Some are open 24/7; check the hours of operation before going.</p>
-            `,
-          },
-          {
-            type: 'calling',
-            body: `
-            <h3>Call DYCD Youth Connect</h3>
-            <p>Call in NYC: <a href="tel:8002464646">800-246-4646</a></p>
-            <p>Outside NYC: <a href="tel:6463436800">646-343-6800</a></p>
-            <p>Hours of operation are from Monday – Friday 9 AM – 5 PM.</p>
-            `,
-          },
-        ],
-      },
-      otherWaysToGetHelp: {
-        title: 'Other ways to get help',
-        content: `
-          <p>Check this <a href="https://www1.nyc.gov/assets/dycd/downloads/pdf/2021_RHY_PalmCard_REVISED_v2.pdf" target="_blank" rel="noopener nofollow">PDF for Runaway &amp; Homeless Youth Services</a>.</p>
-        `,
-      },
-    },
-    featured: [
-      {
-        id: 5,
-        name: 'Children and Youth',
-      },
-    ],
-    categories: [
-      {
-        id: 6,
-        name: "Substance Use Services",
-      },
-      {
-        id: 7,
-        name: "Peer Support",
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-      {
-        id: 3,
-        name: "Crisis Support",
-      },
-      {
-        id: 5,
-        name: "Help with Anxiety",
-      },
-      {
-        id: 1,
-        name: "Trauma Support",
-      },
-      {
-        id: 4,
-        name: "Grief Support",
-      }
-    ],
-    population: [
-      {
-        id: 2,
-        name: "Families",
-      },
-      {
-        id: 5,
-        name: 'Children and Youth',
-      },
-      {
-        id: 8,
-        name: "Adults",
-      },
-      {
-        id: 3,
-        name: "LGBTQ New Yorkers",
-      },
-      {
-        id: 7,
-        name: "Immigrants",
-      },
-    ],
-  },
-  {
-    title: 'Early Childhood Mental Health Network',
-    subtitle:
-      'Parents worried about their children’s emotions or behaviors can get specialized mental health treatment for their children.',
-    metaDescription: 'The Early Childhood Mental Health Network provides specialized mental health treatment for young children.',
-    programProvider: 'Department of Health and Mental Hygiene (DOHMH)',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>If you’re a parent who is concerned about your child’s emotions, behavior, or relationships, you can get help. An early childhood therapeutic center can help you address these challenges early.</p>
-
-          <p>Early childhood therapeutic centers offer:</p>
-
-          <div class="list-unordered--check">
-          <ul>
-          <li>Specialized mental health treatment for children from birth to age five and their families.</li>
-          <li>Access to family peer advocates and connection to ongoing support. </li>
-          </ul>
-          </div>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Parents/Caregivers and young children from birth to age 5.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'health-insurance',
-        content: `
-          <p>Centers accept Medicaid and other insurance. They’ll also work with you to ensure access.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'website',
-            body: `
-            <h3><a href="https://www.ttacny.org/page/about-us/about-the-ecmh-network/" target="_blank" rel="noopener nofollow">Call and make an appointment at a Center near you. </a>There are Centers in every borough.</h3>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [
-      {
-        id: 2,
-        name: 'Families',
-      },
-    ],
-    categories: [
-      {
-        id: 1,
-        name: 'Trauma Support',
-      },
-      {
-        id: 5,
-        name: 'Help with Anxiety',
-      },
-      {
-        id: 7,
-        name: 'Peer Support',
-      },
-    ],
-    population: [
-      {
-        id: 2,
-        name: 'Families',
-      },
-      {
-        id: 5,
-        name: 'Children and Youth',
-      },
-    ],
-  },
-  {
-    title: 'Comprehensive Psychiatric Emergency Services Program (CPEP) at Health + Hospitals',
-    subtitle:
-      'Psychiatric emergency services for New Yorkers.',
-    metaDescription: 'NYC Health + Hospitals offers psychiatric emergency services for all New Yorkers.',
-    programProvider: 'NYC Health + Hospitals',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>NYC Health + Hospitals offers all New Yorkers comprehensive psychiatric emergency services throughout the system’s 11 hospitals.</p>
-          <p>This includes extended observation for children, adolescents, and adults who need:</p>
-
-          <div class="list-unordered--check">
-            <ul>
-              <li>emergency mental health services</li>
-              <li>specialized care for the evaluation and treatment of psychiatric crises, including suicidal or aggressive behavior.</li>
-            </ul>
-          </div>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Available for all ages</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3>Call 911 if there’s a medical emergency.</h3>
-          `,
-          },
-          {
-            type: 'calling',
-            body: `
-            <h3>Call NYC Health + Hospitals at <a href="tel:8446924692">844-NYC-4NYC</a>. Ask about emergency mental health services.</h3>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 10,
-        name: 'Care for Serious Mental Illness',
-      },
-      {
-        id: 1,
-        name: "Trauma Support",
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: 'Everyone',
-      },
-    ],
-  },
-  {
-    title: 'Naloxone',
-    subtitle:
-      'Free Naloxone kits from community-based programs and pharmacies to reverse an opioid overdose.',
-    programProvider: 'Department of Mental Health and Hygiene (DOHMH)',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-          <p>Naloxone (Narcan®) is a safe medication that can save someone’s life by reversing the effects of an opioid overdose. It only works on opioids, such as heroin, prescription painkillers and fentanyl, but it is safe to use even if opioids are not present.</p>
-          <p>If you are worried you or someone you know may be at risk of an opioid overdose, naloxone is available to you.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Anyone can request a Naloxone kit.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>You can get a free Naloxone kit at participating community-based programs and pharmacies near you. You can also attend a virtual training and get a kit by mail.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'website',
-            body: `
-            <h3><a href="https://www1.nyc.gov/assets/doh/downloads/pdf/basas/naloxone-list-of-prevention-programs.pdf" target="_blank" rel="noopener nofollow">Contact a community-based program (PDF) to get a free kit</a>.</h3>
-            <p>There are programs in every borough.</p>
-            `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3><a href="https://www1.nyc.gov/assets/doh/downloads/pdf/basas/naloxone-list-of-pharmacy.pdf" target="_blank" rel="noopener nofollow">Visit a pharmacy (PDF) to get a free kit</a>.</h3>
-            <p>Ask the pharmacist for a free “Emergency Overdose Rescue Kit”.</p>
-            `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3><a href="https://www1.nyc.gov/site/doh/health/health-topics/naloxone.page" target="_blank" rel="noopener nofollow">Attend a virtual training and get a kit by mail</a>.</h3>
-            <p>Trainings are hosted by DOHMH.</p>
-          `,
-          },
-        ],
-      },
-      otherWaysToGetHelp: {
-        title: 'Other ways to get help',
-        content: `
-          <h3>How to purchase naloxone with insurance or out-of-pocket:</h3>
-
-          <div class="list-unordered--check">
-            <ul>
-              <li>Check the <a href="https://www1.nyc.gov/assets/doh/downloads/pdf/basas/naloxone-list-of-pharmacy.pdf" target="_blank" rel="noopener nofollow">list of participating pharmacies (PDF)</a></li>
-              <li>You can also use the <a href="https://a816-healthpsi.nyc.gov/NYCHealthMap/home/ByServices?services=2" target="_blank" rel="noopener nofollow">NYC Health Map</a> to find a pharmacy near you.</li>
-              <li>When contacting a pharmacy, ask the pharmacist about getting naloxone/Narcan®.
-                <ul>
-                  <li>You do not need a prescription from your doctor.</li>
-                  <li>The pharmacy may need to order the medication.</li>
-                  <li>If a pharmacy is enrolled in the Naloxone Co-payment Assistance Program (N-CAP), up to $40 of your insurance copay can be covered. Ask your pharmacist about the program when requesting naloxone.</li>
-                </ul>
-              </li>
-              <li>If you are having a hard time getting naloxone, email <a href="mailto:naloxone@health.nyc.gov" target="_blank" rel="noopener nofollow">naloxone@health.nyc.gov</a></li>
-              <li>Get <a href="https://www1.nyc.gov/site/doh/health/health-topics/alcohol-and-drug-use-prevent-overdose.page" target="_blank" rel="noopener nofollow">more information about preventing overdose</a>.</li>
-          </ul>
-          </div>
-        `,
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 6,
-        name: 'Substance Use Services',
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: "Everyone",
-      }
-    ],
-  },
-  {
-    title: 'Syringe Service Programs',
-    subtitle:
-      'Safer use supplies and education for people who use drugs',
-    metaDescription: 'Syringe service programs provide safer use supplies and education to New Yorkers who use drugs.',
-    programProvider: 'Department of Mental Health and Hygiene (DOHMH)',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>There are 15 syringe service programs across the city that provide critical services to people who use drugs. Services include: </p>
-        <div class="list-unordered--check">
-          <ul>
-            <li>sterile drug use supplies</li>
-            <li>overdose prevention education</li>
-            <li>harm reduction counseling.</li>
-            <li>connection to other services</li>
-          </ul>
-        </div>
-        <br>
-        <p>Harm reduction can help reduce health risks connected to drug use. These risks include acute and chronic infections, and overdose.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Syringe Service Programs are open to all New Yorkers.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>Syringe Service Programs are free.</p>
-          `,
-        },
-        howToGetInTouch: {
-          title: 'How to get in touch',
-          content: [
-            {
-              type: 'website',
-              body: `
-              <h3><a href="https://www1.nyc.gov/assets/doh/downloads/pdf/basas/syringe-service.pdf" target="_blank" rel="noopener nofollow">Visit a Syringe Service Program</a>.</h3>
-              <p>You’ll find them in all boroughs</p>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [
-      {
-        id: 6,
-        name: 'Everyone',
-      },
-    ],
-    categories: [
-      {
-        id: 6,
-        name: 'Substance Use Services',
-      },
-      {
-        id: 7,
-        name: "Peer Support",
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: "Everyone",
-      }
-    ],
-  },
-  {
-    title: 'Gotham Pride Health Centers',
-    subtitle:
-      'Pride Health Centers provide primary care services, mental health support and sexual/reproductive services for LGBTQ New Yorkers.',
-    programProvider: 'NYC Health + Hospitals Pride Health Centers',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>NYC Health + Hospitals is committed to providing culturally competent care to all New Yorkers. The City’s public health system has five designated Pride Health Centers throughout the city, which all offer comprehensive mental health assessments and out-patient care.</p>
-        <p>Pride Health Centers can help if you need:</p>
-        <div class="list-unordered--check">
-          <ul>
-            <li>ulturally sensitive primary care</li>
-            <li>urgent sexual or reproductive services</li>
-            <li>LGBTQ affirming care</li>
-            <li>mental health support</li>
-          </ul>
-        </div>
-        <br>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Pride Health Centers are geared towards serving LGBTQ New Yorkers.</p>
-          `,
-        },
-        howToGetInTouch: {
-          title: 'How to get in touch',
-          content: [
-            {
-              type: 'website',
-              body: `
-              <h3><a href="https://www.nychealthandhospitals.org/services/lgbtq-health-care-services/" target="_blank" rel="noopener nofollow">Visit a Pride Health Center</a>.</h3>
-              <p>There are five Pride Health Centers in Manhattan and Brooklyn.</p>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [
-      {
-        id: 3,
-        name: 'LGBTQ New Yorkers',
-      },
-    ],
-    categories: [
-      {
-        id: 10,
-        name: "Care for Serious Mental Illness",
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-      {
-        id: 6,
-        name: "Substance Use Services",
-      },
-      {
-        id: 1,
-        name: "Trauma Support",
-      },
-      {
-        id: 5,
-        name: "Help with Anxiety",
-      },
-      {
-        id: 7,
-        name: "Peer Support",
-      },
-      {
-        id: 3,
-        name: "Crisis Support",
-      },
-      {
-        id: 4,
-        name: "Grief Support",
-      }
-    ],
-    population: [
-      {
-        id: 3,
-        name: 'LGBTQ New Yorkers',
-      },
-      {
-        id: 6,
-        name: "Everyone",
-      },
-    ],
-  },
-  {
-    title: 'Family Counseling',
-    subtitle:
-      'Families can get bilingual counseling with therapists at NYC Health + Hospitals to improve communication and build stronger relationships.',
-    programProvider: 'NYC Health + Hospitals',
-    sections: ['What it is', 'Who it’s for', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>Family counseling from a professional mental health provider can help to improve communication, help you and your family members better understand family dynamics, and build stronger relationships with one another.</p>
-        <p>NYC Health + Hospitals bilingual-bicultural therapists offer expert counseling in Family Therapy programs. They’re offered at clinics citywide.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Family counseling is available for all New Yorkers.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3><a href="tel:8446924692">Call 844-NYC-4NYC (844-692-4692)</a> to make an appointment or find a clinic near you.</h3>
-          `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3><a href="https://nycwell.cityofnewyork.us/en/find-services/" target="_blank" rel="noopener nofollow">Search for a provider on NYC Well</a></h3>
-            <div class="list-unordered--check">
-              <ul>
-                <li>There are over 600 providers who offer family counseling.</li>
-                <li>Search for “family counseling”</li>
-              </ul>
-            </div>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 8,
-        name: 'Counseling',
-      },
-    ],
-    population: [
-      {
-        id: 2,
-        name: 'Families',
-      },
-      {
-        id: 5,
-        name: "Children and Youth",
-      },
-    ],
-  },
-  {
-    title: 'Mobile Treatment Services Accessible Through the Single Point of Access',
-    subtitle:
-      'New Yorkers with a serious mental illness can get referred to specialty mental health services.',
-    metaDescription: 'New Yorkers with a serious mental illness can get referred to specialty mental health services through Single Point of Access.',
-    programProvider: 'Department of Mental Health and Hygiene (DOHMH)',
-    sections: ['What it is', 'Who it’s for', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>The City offers a selection of programs designed to assist New Yorkers experiencing serious mental illness. </p>
-        <p>These include the following:</p>
-        <div class="list-unordered--check">
-          <ul>
-            <li>Non-Medicaid Care Coordination (NMCC)</li>
-            <li>Assertive Community Treatment (ACT)</li>
-            <li>Forensic Assertive Community Treatment (FACT)</li>
-            <li>Shelter Partnered ACT (SPACT)</li>
-            <li>Intensive Mobile Treatment (IMT)</li>
-          </ul>
-        </div>
-        <p>Through <a href="https://www1.nyc.gov/site/doh/providers/resources/mental-illness-single-point-of-access.page" target="_blank" rel="noopener nofollow">Single Point of Access (SPOA)</a>, your provider can connect you to specialty mental health services and coordination of care If you have a serious mental illness.</p>
-        <p>You’ll need a referral for these services. Your mental health provider — outpatient or inpatient doctor — can start the process of qualifying you for these services.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Single Point of Access serves adult New Yorkers.</p>
-          <p>Mobile treatment teams provide intensive and continuous support and treatment to adults right in their communities, where and when they need it. Clients often have had recent and frequent contact with the mental health, criminal justice, and homeless services systems; and recent behavior that is unsafe and escalating. Eligible clients are often those who were poorly served by traditional treatment models.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'website',
-            body: `
-            <h3><strong>If you want a referral to SPOA,</strong> contact your mental health provider.</h3>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 10,
-        name: 'Care for Serious Mental Illness',
-      },
-    ],
-    population: [
-      {
-        id: 8,
-        name: "Adults",
-      },
-    ],
-  },
-  {
-    title: 'School Mental Health Services',
-    subtitle:
-      'Mental health resources at NYCDOE schools to meet the emotional health and academic needs of your child.',
-    programProvider: 'Department of Education (DOE) and Department of Health and Mental Hygiene (DOHMH)',
-    sections: ['What it is', 'Who it’s for', 'Cost', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>Mental health resources are available to every public school in New York City. The <a href="https://www.schools.nyc.gov/school-life/health-and-wellness/mental-health" target="_blank" rel="noopener nofollow">School Mental Health Program</a> offers support so schools can meet the emotional health and academic needs of their students.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Children who attend a NYC DOE public school can get access to services. Parents and caregivers are also able to get connected to care.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'health-insurance',
-        content: `
-          <p>Although many services are at no cost to families, some services such as treatment may have a fee. Ask your school mental health program for more information.</p>
-          <div class="list-unordered--check">
-          <ul>
-          <li><p>If there is a fee, your current health care insurance may be billed directly.</p>
-
-          </li>
-          <li><p>If you do not have insurance, your school mental health program may be able to help you obtain public health insurance.</p>
-
-          </li>
-          </ul>
-          </div>
-          `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'website',
-            body: `
-            <h3>Ask your Parent Coordinator, School Social Worker, or School Counselor about your school's mental health program.</h3>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [
-      {
-        id: 5,
-        name: 'Children and Youth',
-      },
-    ],
-    categories: [
-      {
-        id: 10,
-        name: "Care for Serious Mental Illness",
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-      {
-        id: 6,
-        name: "Substance Use Services",
-      },
-      {
-        id: 1,
-        name: "Trauma Support",
-      },
-      {
-        id: 5,
-        name: "Help with Anxiety",
-      },
-      {
-        id: 7,
-        name: "Peer Support",
-      },
-      {
-        id: 3,
-        name: "Crisis Support",
-      },
-      {
-        id: 4,
-        name: "Grief Support",
-      }
-    ],
-    population: [
-      {
-        id: 5,
-        name: 'Children and Youth',
-      },
-      {
-        id: 2,
-        name: "Families",
-      },
-      {
-        id: 3,
-        name: "LGBTQ New Yorkers",
-      },
-      {
-        id: 7,
-        name: "Immigrants",
-      },
-    ],
-  },
-  {
-    title: '3-2-1 Impact',
-    subtitle:
-      'Routine screenings for pregnant patients and their children under 3 years old are available at select Health + Hospitals locations.',
-    metaDescription: '3-2-1 Impact provides routine screenings for pregnant patients and their children under 3 years old at select Health + Hospitals locations.',
-    programProvider: 'NYC Health + Hospitals',
-    sections: ['What it is', 'Who it’s for', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>NYC Health + Hospitals’ 3-2-1 IMPACT program combines mental health care, women’s health, and pediatrics to ensure new parents have the skills and resources necessary to provide a stable foundation for their children. It also screens young children for necessary support services to enrich their development.</p>
-        <p>Routine screenings between pregnant patients and their provider help identify when a family needs additional support with:</p>
-        <div class="list-unordered--check">
-          <ul>
-            <li>mental health</li>
-            <li>social needs like food or income</li>
-          </ul>
-        </div>
-        <p>Screenings done with mothers during pregnancy carry into postpartum follow-up and pediatric visits. The proper care is conducted through a social worker or other mental health professional.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>Available for all pregnant patients and pediatrics patients under the age of three at select Health + Hospitals location.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'website',
-            body: `
-            <h3>Contact your OB or pediatrician at an H+H facility for more information, or call <a href="tel:8446924692">844-NYC-4NYC</a> to make an appointment.</h3>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 8,
-        name: "Counseling",
-      },
-    ],
-    population: [
-      {
-        id: 5,
-        name: "Children and Youth",
-      },
-      {
-        id: 2,
-        name: "Families",
-      },
-    ],
-  },
-  {
-    title: 'Mental Health Integrated in Primary Care',
-    subtitle:
-      'Routine mental health screenings for primary care patients at NYC Health + Hospitals locations.',
-    programProvider: 'NYC Health + Hospitals',
-    sections: ['What it is', 'Who it’s for', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>NYC Health + Hospitals’ comprehensive care teams treat common mental health conditions in the primary care setting.  Conditions that are treated include depression and anxiety. There is a particular emphasis on adolescents.</p>
-        <p>As a primary care patient, you can receive mental health screenings as part of your routine visits. If necessary, you can be referred to additional support.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>All New Yorkers can get mental health care at NYC Health + Hospitals.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'health-insurance',
-        content: `
-          <p>If you have insurance, it will be billed.</p>
-          <p>If you’re ineligible for health insurance or cannot afford health insurance, you may be eligible for <a href="https://www.nyccare.nyc/" target="_blank" rel="noopener nofollow">NYC Care</a>.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3>Call NYC Health + Hospitals at <a href="tel:8446924692">844-NYC-4NYC</a> to make an appointment.</h3>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 10,
-        name: "Care for Serious Mental Illness",
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: "Everyone",
-      },
-      {
-        id: 5,
-        name: "Children and Youth",
-      },
-      {
-        id: 2,
-        name: "Families",
-      },
-    ],
-  },
-  {
-    title: 'LGBT National Help Center',
-    subtitle:
-      'LGBTQ New Yorkers can call National Help Center Hotlines to connect with peers about coming out, relationships, and other concerns.',
-    programProvider: 'LGBT National Help Center',
-    sections: ['What it is', 'Who it’s for', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>Connecting with peers who have similar lived experiences can help you cope with your own mental health challenges. Speaking with someone who has gone through what you are going through can often help you understand what you are experiencing and feel supported.</p>
-        <p>You can speak about different issues and concerns like:</p>
-        <div class="list-unordered--check">
-          <ul>
-            <li>Coming out issues</li>
-            <li>Gender and/or sexuality identities</li>
-            <li>Relationship concerns</li>
-            <li>Bullying</li>
-            <li>Workplace issues</li>
-            <li>And much more</li>
-          </ul>
-        </div>
-        <p>Hotlines are anonymous,  confidential, and free.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>People of all ages can call the hotlines through the LGBT National Help Center.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>The LGBT National Help Center’s hotlines are free.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3><a href="https://www.glbthotline.org/" target="_blank" rel="noopener nofollow">Visit the LGBT National Help Center’s Website</a>.</h3>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 7,
-        name: "Peer Support",
-      },
-    ],
-    population: [
-      {
-        id: 3,
-        name: "LGBTQ New Yorkers",
-      },
-    ],
-  },
-  {
-    title: 'The Trevor Project',
-    subtitle:
-      'LGBTQ New Yorkers under age 25 can connect to a Trevor counselor if they’re in crisis, feeling suicidal, or need a safe and judgment-free place to talk.',
-    programProvider: 'The Trevor Project',
-    sections: ['What it is', 'Who it’s for', 'How to get in touch', 'Other ways to get help'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p><a href="https://www.thetrevorproject.org/" target="_blank" rel="noopener nofollow">The Trevor Project</a> helps LGBTQ young people under age 25 cope with mental health challenges. If you are a young person in crisis, feeling suicidal, or in need of a safe and judgment-free place to talk, call the TrevorLifeline.</p>
-        <p>Speaking to a counselor is anonymous, confidential, and free.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>LGBTQ young people under 25 can chat with a counselor.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>Talking to a counselor is free.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3>Call the TrevorLifeline at <a href="tel:8664887386">866-488-7386</a> for crisis intervention and suicide prevention, available 24/7.</h3>
-          `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3><a href="https://trevorproject.secure.force.com/apex/TrevorChatPreChatForm?endpoint=https%3A%2F%2Ftrevorproject.secure.force.com%2Fapex%2FTrevorChatWaitingScreen%3Flanguage%3D%23deployment_id%3D57241000000LPlc%26org_id%3D00D410000005OLz%26button_id%3D57341000000LTDX%26session_id%3DsSEshedlL80qOQ==" target="_blank" rel="noopener nofollow">Message a counselor online</a>, available 24/7.</h3>
-          `,
-          },
-          {
-            type: 'calling',
-            body: `
-            <h3>You can text ‘START’ to 678-678 to text a counselor, available 24/7.</h3>
-          `,
-          },
-        ],
-      },
-      otherWaysToGetHelp: {
-        title: 'Other ways to get help',
-        content: `
-          <p>Learn more from <a href="https://www.thetrevorproject.org/" target="_blank" rel="noopener nofollow">thetrevorproject.org</a></p>
-          <p>You can also get more information about preventing suicide as well as unique resources for LGBTQ youth <a href="https://www.thetrevorproject.org/resources/" target="_blank" rel="noopener nofollow">here</a>.</p>
-        `,
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 3,
-        name: "Crisis Support",
-      },
-      {
-        id: 5,
-        name: "Help with Anxiety",
-      },
-      {
-        id: 7,
-        name: "Peer Support",
-      },
-    ],
-    population: [
-      {
-        id: 3,
-        name: "LGBTQ New Yorkers",
-      },
-    ],
-  },
-  {
-    title: 'Child Use of Prescription Pain Relievers or Heroin',
-    subtitle:
-      'Parents can get support through NYC Well and the Center on Addiction if their children struggle with drug or alcohol use.',
-    programProvider: 'NYC Well',
-    sections: ['What it is', 'Who it’s for', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>Support is available 24/7 through NYC Well counselors who can provide free and confidential advice, treatment resources, and emotional support to help you or your child.</p>
-        <p>The Center on Addiction’s Helpline offers one-on-one support to parents and others who care for a child struggling with drug or alcohol use.</p>
-        `,
-      },
-      whoItIsFor: {
-        title: 'Who it’s for',
-        content: `
-          <p>LGBTQ young people under 25 can chat with a counselor.</p>
-        `,
-      },
-      cost: {
-        title: 'Cost',
-        type: 'free',
-        content: `
-          <p>Talking to a counselor is free.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3>To find help or learn more, call NYC Well at <a href="tel:8886929355">888-NYC-WELL (888-692-9355)</a>, text “WELL” to 65173, or visit <a href="https://nycwell.cityofnewyork.us/en/" target="_blank" rel="noopener nofollow">nyc.gov/nycwell</a> </h3>
-          `,
-          },
-          {
-            type: 'calling',
-            body: `
-            <h3>To talk to a Center on Addiction Helpline Specialist, call <a href="tel:8553784373">855-378-4373</a>, send a text message to 55753, or visit <a href="https://drugfree.org/" target="_blank" rel="noopener nofollow">drugfree.org</a></h3>
-          `,
-          },
-        ],
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 6,
-        name: "Substance Use Services",
-      },
-    ],
-    population: [
-      {
-        id: 5,
-        name: "Children and Youth",
-      },
-      {
-        id: 2,
-        name: "Families",
-      },
-    ],
-  },
-  {
-    title: 'Medications for Opioid Use Disorder',
-    subtitle:
-      'Find treatment for opioid use disorder (OUD) with medications like methadone and buprenorphine at your health care provider or one of these resources.',
-    programProvider: 'Department of Health and Mental Hygiene (DOHMH)',
-    sections: ['What it is', 'How to get in touch','Other ways to get help'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>If you’re interested in starting to use medicine to help manage your opioid use, speak to a medical or harm reduction provider.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3>For information on NYC’s virtual buprenorphine clinic, call  <a href="tel:2125622665">212-562-2665</a></h3>
-          `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3>For treatment services in New York, visit the <a href="https://findaddictiontreatment.ny.gov/" target="_blank" rel="noopener nofollow">Treatment availability dashboard</a>.</h3>
-          `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3>To find buprenorphine treatment in New York, visit <a href="https://www.samhsa.gov/medication-assisted-treatment/practitioner-program-data/treatment-practitioner-locator?field_bup_state_value=37" target="_blank" rel="noopener nofollow">SAMHSA's Buprenorphine practitioner locator</a>.</h3>
-          `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3>For a list of buprenorphine providers in primary care settings, see the <a href="https://www1.nyc.gov/site/doh/health/health-topics/opioid-treatment-medication.page" target="_blank" rel="noopener nofollow">Opioid Addiction Treatment With Buprenorphine and Methadone</a> page at NYC Health.</h3>
-          `,
-          },
-        ],
-      },
-      otherWaysToGetHelp: {
-        title: 'Other ways to get help',
-        content: `
-          <p>NYC Well staff can provide brief counseling and referrals to care in over 200 languages and are available 24 hours a day, seven days a week. For support, call <a href="tel:8886929355">888-NYC-WELL (888-692-9355)</a> , text "WELL" to 65173 or chat online by visiting <a href="http://nyc.gov/nycwell" target="_blank" rel="noopener nofollow">nyc.gov/nycwell</a>.</p>
-
-          <p>Buprenorphine providers using telemedicine can see this <a href="https://www1.nyc.gov/assets/doh/downloads/pdf/covid/covid-19-telemedicine-opioid-use.pdf" target="_blank" rel="noopener nofollow">resource on accessing telemedicine for opioid use disorder</a> during the COVID-19 pandemic.</p>
-        `,
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 6,
-        name: "Substance Use Services",
-      },
-      {
-        id: 7,
-        name: "Peer Support",
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: "Everyone",
-      }
-    ],
-  },
-  {
-    title: 'COVID-19 Community Conversations',
-    subtitle:
-      'COVID-19 Community Conversations provides information and resources regarding the mental health impact of the pandemic.',
-    programProvider: 'Department of Health and Mental Hygiene (DOHMH)',
-    sections: ['What it is', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>3C offers free, one-hour virtual presentations and 3-hour training on mental health resources available in NYC. You can also get information about the impact of COVID-19 on mental health, health disparities in communities of color, trauma, grief, anxiety, and coping skills.</p>
-        <p>Presentations and training are available in Spanish, Cantonese and Mandarin.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'website',
-            body: `
-            <h3>Borough-specific public trainings are available for individuals. Please sign up for a training in your borough.</h3>
-            <div class="list-unordered--check">
-              <ul>
-                <li><a target="_blank" href="https://queens_covidconvo.timetap.com/">Queens</a></li>
-                <li><a target="_blank" href="https://brooklyn_covidconvo.timetap.com/">Brooklyn</a></li>
-                <li><a target="_blank" href="https://bronx_covidconvo.timetap.com/">Bronx</a></li>
-                <li><a target="_blank" href="https://statenisland_covidconvo.timetap.com/">Staten Island</a></li>
-                <li><a target="_blank" href="https://manhattan_covidconvo.timetap.com/">Manhattan</a></li>
-              </ul>
-            </div>
-          `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3>For organizations that would like to have their own training, please email <a href="mailto:covidconvo@health.nyc.gov">covidconvo@health.nyc.gov</a></h3>
-          `,
-          },
-
-        ],
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 1,
-        name: "Trauma Support",
-        slug: "trauma-support"
-      },
-      {
-        id: 5,
-        name: "Help with Anxiety",
-        slug: "help-with-anxiety"
-      },
-      {
-        id: 4,
-        name: "Grief Support",
-        slug: "grief-support"
-      },
-      {
-        id: 7,
-        name: "Peer Support",
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: "Everyone",
-      },
-      {
-        id: 3,
-        name: "LGBTQ New Yorkers",
-        slug: "lgbtq-new-yorkers"
-      },
-      {
-        id: 7,
-        name: "Immigrants",
-        slug: "immigrants"
-      },
-      {
-        id: 8,
-        name: "Adults",
-        slug: "adults"
-      },
-      {
-        id: 4,
-        name: "Seniors",
-        slug: "seniors"
-      },
-      {
-        id: 1,
-        name: "Veterans",
-        slug: "veterans"
-      }
-    ],
-  },
-  {
-    title: 'NY Project Hope',
-    subtitle:
-      'A COVID-19 emotional support helpline.',
-    programProvider: 'Department of Health and Mental Hygiene (DOHMH)',
-    sections: ['What it is', 'How to get in touch'],
-    body: {
-      whatItIs: {
-        title: 'What it is',
-        content: `
-        <p>NY Project Hope provides emotional support and assists individuals impacted by the COVID-19 pandemic. Get help with managing stress, developing coping strategies, and connecting to local crisis counseling services.</p>
-        `,
-      },
-      howToGetInTouch: {
-        title: 'How to get in touch',
-        content: [
-          {
-            type: 'calling',
-            body: `
-            <h3>You can call <a href="tel:844-863-9314">844-863-9314</a> to speak to a crisis counselor and get referrals to services in your community. Crisis counselors are available over the phone 7 days a week from 8 a.m. - 10 p.m.</h3>
-            <p>Crisis counselors are available over the phone 7 days a week from 8 a.m. - 10 p.m.</p>
-            `,
-          },
-          {
-            type: 'website',
-            body: `
-            <h3>Local crisis counselors are also available in all 5 boroughs of NYC.</h3>
-            <p>Connect with a crisis counselor by visiting <a target="_blank" href="https://nyprojecthope.org/">NYProjectHope.org</a> and selecting “Find a Provider Near You.” You can also get more information on the website.</p>
-          `,
-          },
-
-        ],
-      },
-    },
-    featured: [],
-    categories: [
-      {
-        id: 1,
-        name: "Trauma Support",
-        slug: "trauma-support"
-      },
-      {
-        id: 5,
-        name: "Help with Anxiety",
-        slug: "help-with-anxiety"
-      },
-      {
-        id: 4,
-        name: "Grief Support",
-        slug: "grief-support"
-      },
-      {
-        id: 8,
-        name: "Counseling",
-      },
-    ],
-    population: [
-      {
-        id: 6,
-        name: "Everyone",
-      }
-    ],
+/**
+ * Dependencies
+ */
+
+let fs = require('fs');
+let path = require('path');
+
+let categories = require('./categories.json');
+let boroughs = require('./boroughs.json');
+let providers = require('./providers.json');
+let locales = require('./locales');
+let banners = require('./banners');
+let types = require('./sections');
+let content = require('../bin/util/content');
+let contact = require('../bin/util/contact');
+let dates = require('../bin/util/dates');
+let hours = require('../bin/util/hours');
+let strings = require('../bin/util/strings');
+
+/**
+ * Each service is a Markdown file in the content/services directory
+ *
+ * @type {String}
+ */
+let directory = path.join(__dirname, '../content/services');
+
+/**
+ * The Markdown heading for each section type in config/sections.js. Locations
+ * come from the front matter so they don't have a heading.
+ *
+ * @type {Object}
+ */
+let sections = {};
+
+Object.keys(types).filter(key => types[key].layout !== 'locations')
+  .forEach(key => sections[key] = types[key].label);
+
+/**
+ * Front matter keys that are moved into the service body. These are the items
+ * of card sections and the type of tips.
+ *
+ * @type {Array}
+ */
+let bodyKeys = Object.keys(sections)
+  .filter(key => ['cards', 'tip'].includes(types[key].layout));
+
+/**
+ * Assemble a service from a content file. Metadata comes from the YAML front
+ * matter and each ## heading of the Markdown is a section of the body. The
+ * sections list has the key of each section in the order they are written.
+ * The items of card sections ("How to get in touch") are listed in the front
+ * matter and each ### heading in that section is the body of the item with
+ * the same title. Each ### heading of an accordion section is an item.
+ * Headings that don't match are kept so the services validate command can
+ * report them.
+ *
+ * @param   {String}  file    The path to the content file
+ * @param   {Object}  labels  The heading for each section (translations use
+ *                            the headings in their locale's strings)
+ * @param   {String}  text    The text of the file if it is not written yet
+ *
+ * @return  {Object}          The service
+ */
+let load = (file, labels = sections, text = false) => {
+  let data = (text === false) ? content.read(file) : content.parse(text, file);
+  let attributes = data.attributes;
+  let service = {
+    title: attributes.title,
+    subtitle: attributes.subtitle,
+    metaDescription: attributes.metaDescription,
+    sections: [],
+    body: {}
+  };
+
+  if (!service.metaDescription) delete service.metaDescription;
+
+  content.split(data.body, 2).filter(s => s.title).forEach(section => {
+    let key = Object.keys(labels).find(k => labels[k] === section.title) ||
+      section.title;
+    let layout = (types[key]) ? types[key].layout : 'prose';
+
+    service.sections.push(key);
+
+    if (layout === 'cards') {
+      let items = (attributes[key] || []).map(item => Object.assign({}, item));
+
+      content.split(section.content, 3).filter(s => s.title).forEach(s => {
+        let item = items.find(i => i.title === s.title);
+
+        if (!item) items.push(item = {title: s.title});
+
+        item.body = content.html(s.content);
+      });
+
+      service.body[key] = {title: section.title, content: items};
+    } else if (layout === 'tip' && attributes.hasOwnProperty(key)) {
+      service.body[key] = {
+        title: section.title,
+        type: attributes[key],
+        content: content.html(section.content)
+      };
+    } else if (layout === 'accordion') {
+      service.body[key] = {
+        title: section.title,
+        content: content.html(section.content),
+        items: content.split(section.content, 3).filter(s => s.title).map(s => ({
+          title: s.title,
+          content: content.html(s.content)
+        }))
+      };
+    } else {
+      service.body[key] = {
+        title: section.title,
+        content: content.html(section.content)
+      };
+    }
+  });
+
+  Object.keys(attributes)
+    .filter(key => !service.hasOwnProperty(key) && !bodyKeys.includes(key) && key !== 'order')
+    .forEach(key => service[key] = attributes[key]);
+
+  Object.defineProperty(service, 'file', {
+    value: path.relative(path.join(__dirname, '..'), file),
+    enumerable: false
+  });
+
+  Object.defineProperty(service, 'order', {
+    value: attributes.order,
+    enumerable: false
+  });
+
+  return service;
+};
+
+/**
+ * Load every service and sort them by the order in their front matter
+ *
+ * @type {Array}
+ */
+let services = fs.readdirSync(directory)
+  .filter(file => path.extname(file) === '.md')
+  .map(file => load(path.join(directory, file)))
+  .sort((a, b) => (a.order || Infinity) - (b.order || Infinity) ||
+    String(a.title || '').localeCompare(String(b.title || '')));
+
+/**
+ * Problems with content files that keep them from being loaded, such as a
+ * translation without an English service. They are reported by the services
+ * validate command with the schema errors ({file, path, title, message}).
+ */
+
+Object.defineProperty(services, 'errors', {
+  value: [],
+  enumerable: false
+});
+
+/**
+ * Banners are keyed by the content file name so they don't change when a
+ * service is retitled. Translations share the banner of the English service.
+ */
+
+services.forEach(s => s.banner = banners[path.basename(s.file, '.md')] || false);
+
+/**
+ * The section headings are shared with the commands that read and write the
+ * content files
+ */
+
+Object.defineProperty(services, 'sections', {
+  value: sections,
+  enumerable: false
+});
+
+/**
+ * Merge a translation into a copy of the English service. Objects are merged
+ * by key and arrays by index so a translation only needs the text it changes.
+ *
+ * @param   {Object}  target  The copy of the English service
+ * @param   {Object}  source  The translation
+ *
+ * @return  {Object}          The merged service
+ */
+let merge = (target, source) => {
+  Object.keys(source).filter(key => source[key] !== undefined).forEach(key => {
+    if (typeof source[key] === 'object' && source[key] !== null &&
+      typeof target[key] === 'object' && target[key] !== null) {
+      merge(target[key], source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  });
+
+  return target;
+};
+
+/**
+ * Translations of a service are in content/services/{{ locale path }} and
+ * share the file name of the English service. Untranslated text falls back to
+ * English. Each service lists its translations by locale code and the
+ * services list has the translated services of each locale.
+ */
+
+Object.defineProperty(services, 'translations', {
+  value: {},
+  enumerable: false
+});
+
+services.forEach(s => Object.defineProperty(s, 'translations', {
+  value: {},
+  enumerable: false
+}));
+
+locales.forEach(locale => {
+  let dir = path.join(directory, locale.path);
+  let labels = {};
+
+  Object.keys(sections)
+    .forEach(key => labels[key] = strings.translate(locale.strings, sections[key]));
+
+  services.translations[locale.code] = [];
+
+  if (!fs.existsSync(dir)) return;
+
+  fs.readdirSync(dir).filter(file => path.extname(file) === '.md').forEach(file => {
+    let original = services.find(s => path.basename(s.file) === file);
+    let translation = load(path.join(dir, file), labels);
+
+    if (!original) {
+      services.errors.push({
+        file: translation.file,
+        path: 'file',
+        title: translation.title || '',
+        message: 'does not have an English service with the same file name in content/services'
+      });
+
+      return;
+    }
+
+    let service = merge(JSON.parse(JSON.stringify(original)), translation);
+
+    service.sections = original.sections.slice();
+
+    Object.defineProperty(service, 'file', {
+      value: translation.file,
+      enumerable: false
+    });
+
+    Object.defineProperty(service, 'locale', {
+      value: locale.code,
+      enumerable: false
+    });
+
+    original.translations[locale.code] = service;
+    services.translations[locale.code].push(service);
+  });
+});
+
+/**
+ * Services reference categories, providers, and location boroughs by id.
+ * Resolve each id to the entry in its registry. Ids that are not in the
+ * registry are left as is so the services validate command can report them.
+ * Values that are missing or the wrong type are skipped for the same reason.
+ * The program provider is the names of the providers in a sentence
+ * ("Department for the Aging (DFTA) and NYC Health + Hospitals"). Services with
+ * locations list the locations section after "How to get in touch". Then, add
+ * the href and display text to each contact point and describe its hours in
+ * the language of the service. Services are active unless their status says
+ * otherwise. Services with an end date that has passed are retired and keep
+ * the status in their content file as "ended" for the review warnings.
+ */
+
+let term = (registry, id) => {
+  let entry = registry.find(t => t.id === id);
+
+  return (entry) ? Object.assign({}, entry) : {id: id};
+};
+
+let hydrate = (s, locale) => {
+  let t = (string, vars) => strings.translate((locale) ? locale.strings : {}, string, vars);
+
+  s.status = s.status || 'active';
+
+  if (s.status !== 'retired' && dates.valid(s.endDate) && s.endDate < dates.today()) {
+    Object.defineProperty(s, 'ended', {value: s.status, enumerable: false});
+
+    s.status = 'retired';
+  }
+
+  if (Array.isArray(s.categories)) s.categories = s.categories.map(id => term(categories, id));
+
+  s.providers = (Array.isArray(s.providers)) ? s.providers.map(id => term(providers, id)) :
+    s.providers || [];
+
+  let named = (Array.isArray(s.providers)) ? s.providers.filter(p => p.name) : [];
+
+  named.forEach(p => p.label = (p.acronym) ? `${t(p.name)} (${p.acronym})` : t(p.name));
+
+  let names = named.map(p => p.label);
+
+  s.programProvider = (names.length > 2) ?
+    `${names.slice(0, -1).join(', ')}, ${t('and')} ${names[names.length - 1]}` :
+    names.join(` ${t('and')} `);
+
+  if (Array.isArray(s.locations) && s.locations.length) {
+    let index = s.sections.indexOf('howToGetInTouch');
+
+    s.sections.splice((index > -1) ? index + 1 : s.sections.length, 0, 'locations');
+  }
+
+  let locations = (Array.isArray(s.locations)) ? s.locations : [];
+
+  locations.filter(l => l && typeof l === 'object').forEach(location => {
+    location.borough = term(boroughs, location.borough);
+
+    location.map = contact.href({
+      type: 'address',
+      address: `${location.address}, ${location.borough.name || ''}, NY ${location.zip}`
+    }).href;
+
+    if (location.phone) {
+      location.tel = contact.href({type: 'phone', number: location.phone});
+    }
+  });
+
+  if (s.body.howToGetInTouch && Array.isArray(s.body.howToGetInTouch.content)) {
+    s.body.howToGetInTouch.content.forEach(item => {
+      (item.contacts || []).forEach(c => {
+        contact.href(c, t);
+
+        if (c.hours && !hours.check(c.hours)) c.hours.text = hours.text(c.hours, t);
+      });
+    });
+  }
+
+  return s;
+};
+
+services.map(s => hydrate(s));
+
+locales.forEach(locale => services.translations[locale.code]
+  .map(s => hydrate(s, locale)));
+
+/**
+ * Load an English service from the text of a content file before it is
+ * written so the services import command can validate it
+ *
+ * @param   {String}  file  The path to the content file
+ * @param   {String}  text  The text of the file
+ *
+ * @return  {Object}        The service
+ */
+
+Object.defineProperty(services, 'preview', {
+  value: (file, text) => {
+    let service = hydrate(load(path.resolve(file), sections, text));
+
+    service.banner = banners[path.basename(file, '.md')] || false;
+
+    return service;
   },
-];
+  enumerable: false
+});
+
+module.exports = services;
@@ -1,10 +1,17 @@
 let package = require('../package.json');
 let tokens = require('./tokens');
 let services = require('./services');
-let banners = require('./banners');
-let substanceAbuse = require('./substance-abuse');
 let about = require('./about');
+let sections = require('./sections');
+let locales = require('./locales');
+let categories = require('./categories.json');
 let population = require('./population.json');
+let providers = require('./providers.json');
+let dates = require('../bin/util/dates');
+let strings = require('../bin/util/strings');
+let collections = require('../bin/util/collections');
+let callouts = require('../bin/util/callouts');
+let structured = require('../bin/util/structured');
 
 let remotes = {
   development: '',
@@ -20,17 +27,6 @@ let gtag = {
   production: 'G-CFPSFD534S'
 };
 
-services.map(s => {
-  s.banner = banners[s.title];
-
-  s.body.substanceAbuse = substanceAbuse;
-
-  s.body.substanceAbuse.content = substanceAbuse.content
-    .replace('{{ this.root }}', remotes[process.env.NODE_ENV]);
-
-  return s;
-});
-
 module.exports = {
   name: package.nicename,
   description: package.description,
@@ -39,50 +35,233 @@ module.exports = {
       NODE_ENV: process.env.NODE_ENV,
     },
   },
+  /**
+   * The address of the site in each environment
+   *
+   * @type {Object}
+   */
+  remotes: remotes,
   root: remotes[process.env.NODE_ENV],
   gtag: gtag[process.env.NODE_ENV],
   tokens: tokens,
   services: services,
-  serviceSectionLabels: {
-    whatItIs: {
-      label: 'What it is',
-      color: 'orange'
-    },
-    whoItIsFor: {
-      label: 'Who it’s for',
-      color: 'magenta'
-    },
-    cost: {
-      label: 'Cost',
-      color: 'blue'
-    },
-    howToGetInTouch: {
-      label: 'How to get in touch',
-      color: 'red'
-    },
-    otherWaysToGetHelp: {
-      label: 'Other ways to get help',
-      color: 'yellow'
-    }
-  },
-  programs: [
-    'Trauma Support',
-    'Veterans',
-    'Children and Families',
-    'LGBTQ New Yorkers',
-    'Care for Serious Mental Illness',
-    'Crisis Support',
-    'Aging New Yorkers',
-    'Grief Support',
-    'Help with Anxiety',
-    'Substance Use Services',
-  ],
+  /**
+   * The section types of service pages from config/sections.js
+   *
+   * @type {Object}
+   */
+  serviceSectionLabels: sections,
+  categories: categories,
   population: population,
+  providers: providers,
+  /**
+   * The population id of the featured collection on the homepage
+   *
+   * @type {Number}
+   */
+  homepageCollection: 1,
   about: about,
+  locales: locales,
   generateClassName: (title) => {
     let className = `bg-${title.toLowerCase()}--secondary`;
     return className;
   },
+  /**
+   * Translate an interface string into the language of the page. Pages are
+   * in English unless this.locale is set to a locale code.
+   *
+   * @param   {String}  string  The English text
+   * @param   {Object}  vars    Values for the variables in the string
+   *
+   * @return  {String}          The translated string
+   */
+  t: function(string, vars) {
+    let locale = this.locales.find(l => l.code === this.locale);
+
+    return strings.translate((locale) ? locale.strings : {}, string, vars);
+  },
+  /**
+   * Get the URL of a page in English and each locale it is translated in
+   *
+   * @param   {String}  page   The path of the English page (/about)
+   * @param   {Array}   codes  The codes of the locales the page is translated in
+   *
+   * @return  {Object}         URLs keyed by language code
+   */
+  alternates: function(page, codes) {
+    let urls = {en: `${this.root}${page}`};
+
+    this.locales.filter(l => codes.includes(l.code))
+      .forEach(l => urls[l.code] = `${this.root}/${l.path}${page}`);
+
+    return urls;
+  },
+  /**
+   * Get the translations of the strings used by the open now badges
+   * (src/js/hours.js) in the language of the page
+   *
+   * @return  {Object}  Translated strings keyed by their English text
+   */
+  hoursStrings: function() {
+    let locale = this.locales.find(l => l.code === this.locale);
+    let translated = {};
+
+    [
+      'Open now', 'Closed', 'Opens at {time}', 'Opens tomorrow at {time}',
+      'Opens {day} at {time}', 'Sunday', 'Monday', 'Tuesday', 'Wednesday',
+      'Thursday', 'Friday', 'Saturday'
+    ].filter(string => locale && locale.strings[string])
+      .forEach(string => translated[string] = locale.strings[string]);
+
+    return translated;
+  },
+  /**
+   * Get the URL of the about page in the language of the page if it has been
+   * translated, otherwise in English
+   *
+   * @return  {String}  The URL of the about page
+   */
+  aboutUrl: function() {
+    let locale = this.locales.find(l => l.code === this.locale);
+
+    return (locale && locale.about) ?
+      `${this.root}/${locale.path}/about` : `${this.root}/about`;
+  },
+  /**
+   * Get the root of the pages in the language of the page. The provider and
+   * landing pages that list a translated service are translated with it, so
+   * its page can link to them.
+   *
+   * @return  {String}  The root of the locale (/es) or the site root
+   */
+  localeRoot: function() {
+    let locale = this.locales.find(l => l.code === this.locale);
+
+    return (locale) ? `${this.root}/${locale.path}` : this.root;
+  },
+  /**
+   * Get the services featured for a population in the order of the collection
+   *
+   * @param   {Number}  id  The population id
+   *
+   * @return  {Array}       The featured services
+   */
+  featuredServices: function(id) {
+    return collections.featured(this.services, id);
+  },
+  /**
+   * Group the sections of the service into the rows of the page. Tips that
+   * follow each other are shown side by side in pairs.
+   *
+   * @return  {Array}  The rows, each a list of section keys
+   */
+  sectionRows: function() {
+    let tip = (key) => this.serviceSectionLabels[key].layout === 'tip';
+
+    return this.service.sections.filter(key => this.serviceSectionLabels[key])
+      .reduce((rows, key) => {
+        let last = rows[rows.length - 1];
+
+        if (last && last.length === 1 && tip(last[0]) && tip(key)) {
+          last.push(key);
+        } else {
+          rows.push([key]);
+        }
+
+        return rows;
+      }, []);
+  },
+  /**
+   * Get the callouts shown in a slot of the service page in the language of
+   * the page
+   *
+   * @param   {String}  slot  The slot (top, afterHowToGetInTouch, bottom)
+   *
+   * @return  {Array}         The callouts
+   */
+  callouts: function(slot) {
+    let locale = this.locales.find(l => l.code === this.locale);
+
+    return callouts.select(this.service, slot).map(callout => {
+      let translation = (locale && locale.callouts[callout.id]) || {};
+
+      return Object.assign({}, callout, {
+        title: translation.title || callout.title,
+        content: (translation.content || callout.content)
+          .replace(/{{ this.root }}/g, this.root)
+      });
+    });
+  },
+  /**
+   * Get the cards of a list of services in the language of the page, such as
+   * the related services of a service page or the services of a provider or
+   * landing page. Services that are translated link to their translated page.
+   *
+   * @param   {Array}  files  The content file names of the services (nyc-well)
+   *
+   * @return  {Array}         The services with the href of their page
+   */
+  serviceCards: function(files) {
+    let locale = this.locales.find(l => l.code === this.locale);
+
+    return files.map(file => this.services.find(s => s.file.endsWith(`/${file}.md`)))
+      .filter(Boolean)
+      .map(s => {
+        let translation = (locale) ? s.translations[locale.code] : false;
+        let page = `/services/${s.slug}`;
+
+        return Object.assign({}, translation || s, {
+          href: (translation) ? `${this.root}/${locale.path}${page}` : `${this.root}${page}`
+        });
+      });
+  },
+  /**
+   * Get the structured data of a service page; the government service and the
+   * breadcrumbs of its banner. Pages set their structured data in
+   * this.structured and the default layout writes it as JSON-LD.
+   *
+   * @return  {Array}  The structured data
+   */
+  serviceStructuredData: function() {
+    let original = this.services.find(s => s.id === this.service.id);
+    let url = this.alternates(`/services/${original.slug}`,
+      Object.keys(original.translations))[this.locale || 'en'];
+
+    return [
+      structured.service(this.service, url),
+      structured.breadcrumbs([
+        {name: this.t('Home'), url: `${this.root}/`},
+        {name: this.t('Services'), url: `${this.root}/services/index`},
+        {name: this.service.title, url: url}
+      ])
+    ];
+  },
+  /**
+   * Get the structured data of the homepage and the services archive; the
+   * website and the list of services
+   *
+   * @return  {Array}  The structured data
+   */
+  siteStructuredData: function() {
+    return [
+      structured.website(this.name, `${this.root}/`, this.description),
+      structured.list(this.services.filter(s => s.status !== 'retired').map(s => ({
+        name: s.title,
+        url: `${this.root}/services/${s.slug}`
+      })))
+    ];
+  },
+  /**
+   * Write structured data as JSON-LD
+   *
+   * @param   {Array}   data  The structured data
+   *
+   * @return  {String}        The JSON-LD
+   */
+  jsonLd: (data) => structured.stringify(data),
+  formatDate: function(date) {
+    return dates.format(date, this.locale || 'en-US');
+  },
   createSlug: (s) =>
     s
       .toLowerCase()
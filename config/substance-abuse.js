@@ -1,9 +0,0 @@
-module.exports = {
-  type: 'calling',
-  title: 'Drug & Alcohol Use Services',
-  content: `
-    <p>The City has many <a href="{{ this.root }}/services/index?cat[]=6" tabindex='-1'>free and low-cost substance use services</a>.</p>
-
-    <p>You can also learn more from <a href="https://www1.nyc.gov/site/doh/health/health-topics/alcohol-and-drug-use.page" target="_blank" rel="nofollow noopener" tabindex='-1'>NYC Health</a> or call NYC Well at <a href="tel:8886929355" tabindex='-1'>(888) NYC-WELL</a> for more details.</p>
-  `
-};
\ No newline at end of file
@@ -119,6 +119,14 @@ tokens.populations = {
     'text': textBlack,
     'primary': tokens.colors['"yellow"']
   },
+  'green': {
+    'text': textWhite,
+    'primary': tokens.colors['"green"']
+  },
+  'teal': {
+    'text': textWhite,
+    'primary': tokens.colors['"teal"']
+  },
   'cat': {
     'text': textWhite,
     'primary': tokens.colors['"magenta"']
@@ -5,6 +5,7 @@ import Icons from '@nycopportunity/pttrn-scripts/src/icons/icons';
 import TranslateElement from '@nycopportunity/pttrn-scripts/src/google-translate-element/google-translate-element';
 import Menu from '@nycopportunity/pattern-menu/src/menu';
 import StaticColumn from './staticColumn';
+import Hours from './hours';
 import TextRotation from './textRotation';
 
 class Default {
@@ -46,6 +47,10 @@ class Default {
     });
   }
 
+  hours(strings) {
+    return new Hours(strings);
+  }
+
   icons(path) {
     return new Icons(path);
   }
@@ -63,6 +68,21 @@ class Default {
   }
 
   translateElement() {
+    let control = document.querySelector(TranslateElement.selectors.control);
+
+    // Go to the human translation of the page instead of the Google Translate
+    // element if the option has one. This listener is added first so it can
+    // stop the element's listener.
+    control.addEventListener('change', event => {
+      let option = event.target.options[event.target.selectedIndex];
+
+      if (option && option.dataset.href) {
+        event.stopImmediatePropagation();
+
+        window.location.href = option.dataset.href;
+      }
+    });
+
     new TranslateElement(document.querySelector(TranslateElement.selector));
   }
 }
@@ -0,0 +1,254 @@
+'use strict';
+
+/**
+ * Shows whether a contact point is open now or when it opens next. Hours are
+ * written in the data-hours attribute of each badge by the service views and
+ * are read in the time zone of the service (America/New_York by default), no
+ * matter where the visitor is.
+ */
+class Hours {
+  /**
+   * @constructor
+   *
+   * @param   {Object}  strings  Translations of the badge labels keyed by
+   *                             their English text (optional)
+   *
+   * @return  {Object}           The instance of Hours
+   */
+  constructor(strings = {}) {
+    this.selector = Hours.selector;
+
+    Object.assign(Hours.strings, strings);
+
+    this.elements = document.querySelectorAll(this.selector);
+
+    this.elements.forEach(element => {
+      Hours.badge(element, JSON.parse(element.dataset.hours));
+    });
+
+    return this;
+  }
+}
+
+/**
+ * Set the label and open or closed class of a badge and show it
+ *
+ * @param   {Object}  element  The badge element
+ * @param   {Object}  hours    The hours (or list of hours) of the contact point
+ *
+ * @return  {Object}           The status of the hours
+ */
+Hours.badge = function(element, hours) {
+  let status = Hours.status(hours);
+
+  element.textContent = status.label;
+
+  element.classList.toggle(Hours.openClass, status.open);
+  element.classList.remove('hidden');
+
+  return status;
+};
+
+/**
+ * Get the status of a contact point's hours. If a list of hours is passed,
+ * the status is open if any of them are open or the soonest to open.
+ *
+ * @param   {Object}  hours  The hours or list of hours
+ * @param   {Date}    date   The date to check, defaults to now
+ *
+ * @return  {Object}         open - whether the hours are open,
+ *                           label - the text for the badge,
+ *                           wait - minutes until opening (0 if open)
+ */
+Hours.status = function(hours, date = new Date()) {
+  if (Array.isArray(hours)) {
+    return hours.map(h => Hours.status(h, date))
+      .sort((a, b) => a.wait - b.wait)[0] || Hours.closedStatus();
+  }
+
+  if (hours.always) return {open: true, label: Hours.t(Hours.openLabel), wait: 0};
+
+  let now = Hours.now(date, hours.timezone || Hours.timezone);
+
+  // Ranges that started yesterday and close after midnight
+  let overnight = Hours.ranges(hours, Hours.day(now, -1))
+    .filter(r => r.close <= r.open && now.minutes < r.close);
+
+  let today = Hours.ranges(hours, Hours.day(now, 0));
+
+  if (overnight.length || today.some(r => r.open <= now.minutes &&
+    (now.minutes < r.close || r.close <= r.open))) {
+    return {open: true, label: Hours.t(Hours.openLabel), wait: 0};
+  }
+
+  for (let i = 0; i <= 7; i++) {
+    let day = Hours.day(now, i);
+    let next = Hours.ranges(hours, day)
+      .filter(r => i > 0 || r.open > now.minutes)
+      .sort((a, b) => a.open - b.open)[0];
+
+    if (next) {
+      let label = (i === 0) ? 'Opens at {time}' :
+        (i === 1) ? 'Opens tomorrow at {time}' : 'Opens {day} at {time}';
+
+      return {
+        open: false,
+        label: Hours.t(label, {
+          day: Hours.t(Hours.names[day.weekday]),
+          time: Hours.time(next.open)
+        }),
+        wait: (i * 24 * 60) + next.open - now.minutes
+      };
+    }
+  }
+
+  return Hours.closedStatus();
+};
+
+/**
+ * Get the status of hours that do not open in the next week
+ *
+ * @return  {Object}  The closed status with a translated label
+ */
+Hours.closedStatus = function() {
+  return Object.assign({}, Hours.closed, {label: Hours.t(Hours.closed.label)});
+};
+
+/**
+ * Translate a label using the strings passed to the constructor. Variables
+ * in curly braces ({time}) are replaced with values.
+ *
+ * @param   {String}  string  The English label
+ * @param   {Object}  vars    Values for the variables in the label
+ *
+ * @return  {String}          The translated label
+ */
+Hours.t = function(string, vars = {}) {
+  return Object.keys(vars).reduce((s, key) => s.split(`{${key}}`).join(vars[key]),
+    Hours.strings[string] || string);
+};
+
+/**
+ * Get the date, day of the week, and minutes after midnight in a time zone
+ *
+ * @param   {Date}    date      The date
+ * @param   {String}  timezone  The IANA time zone
+ *
+ * @return  {Object}            year, month, day, weekday, and minutes
+ */
+Hours.now = function(date, timezone) {
+  let parts = {};
+
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(p => parts[p.type] = p.value);
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    weekday: parts.weekday.toLowerCase(),
+    minutes: (parseInt(parts.hour) % 24) * 60 + parseInt(parts.minute)
+  };
+};
+
+/**
+ * Get the date and day of the week a number of days from a local date
+ *
+ * @param   {Object}  now     The local date from Hours.now()
+ * @param   {Number}  offset  The number of days to add
+ *
+ * @return  {Object}          date - YYYY-MM-DD, weekday - mon, tue, ...
+ */
+Hours.day = function(now, offset) {
+  let date = new Date(Date.UTC(now.year, now.month - 1, now.day + offset));
+
+  return {
+    date: date.toISOString().slice(0, 10),
+    weekday: Hours.days[date.getUTCDay()]
+  };
+};
+
+/**
+ * Get the opening and closing times for a day. Exceptions on the date replace
+ * the weekly hours.
+ *
+ * @param   {Object}  hours  The hours of a contact point
+ * @param   {Object}  day    The date and day of the week from Hours.day()
+ *
+ * @return  {Array}          List of ranges in minutes after midnight
+ */
+Hours.ranges = function(hours, day) {
+  let exception = (hours.exceptions || []).find(e => e.date === day.date);
+  let ranges = (exception) ? (exception.closed) ? [] : [exception] :
+    (hours.weekly || []).filter(r => r.days.includes(day.weekday));
+
+  return ranges.map(r => ({
+    open: Hours.minutes(r.open),
+    close: Hours.minutes(r.close)
+  }));
+};
+
+/**
+ * Convert a 24 hour time (08:30) to minutes after midnight
+ *
+ * @param   {String}  time  The time in HH:MM format
+ *
+ * @return  {Number}        Minutes after midnight
+ */
+Hours.minutes = function(time) {
+  let [h, m] = time.split(':').map(n => parseInt(n));
+
+  return h * 60 + m;
+};
+
+/**
+ * Format minutes after midnight for display (480 → 8am, 810 → 1:30pm)
+ *
+ * @param   {Number}  minutes  Minutes after midnight
+ *
+ * @return  {String}           The formatted time
+ */
+Hours.time = function(minutes) {
+  let m = minutes % (24 * 60);
+  let h = Math.floor(m / 60);
+  let suffix = (h < 12) ? 'am' : 'pm';
+
+  h = (h % 12) || 12;
+
+  return (m % 60) ? `${h}:${String(m % 60).padStart(2, '0')}${suffix}` :
+    `${h}${suffix}`;
+};
+
+Hours.selector = '[data-js="hours"]';
+
+Hours.openClass = 'hours--open';
+
+Hours.openLabel = 'Open now';
+
+Hours.closed = {open: false, label: 'Closed', wait: Infinity};
+
+Hours.strings = {};
+
+Hours.timezone = 'America/New_York';
+
+Hours.days = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+Hours.names = {
+  sun: 'Sunday',
+  mon: 'Monday',
+  tue: 'Tuesday',
+  wed: 'Wednesday',
+  thu: 'Thursday',
+  fri: 'Friday',
+  sat: 'Saturday'
+};
+
+export default Hours;
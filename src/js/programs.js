@@ -3,6 +3,7 @@
 import Vue from 'vue/dist/vue.esm.browser';
 import ProgramsArchive from '../views/services/archive.vue';
 import Services from '../../dist/data/services.json';
+import Hours from './hours';
 
 /**
  * The class for the Programs Archive
@@ -121,6 +122,15 @@ class Programs {
           // console.dir(this.posts[1].posts.length > 0);
           // return (this.posts && this.posts[1].posts.length > 0) ? true : false;
         },
+
+        /**
+         * Wether the "Open now" filter is on
+         *
+         * @type {Boolean}
+         */
+        open: function() {
+          return this.query.hasOwnProperty('open') && this.query.open.length > 0;
+        },
       },
 
       /**
@@ -171,6 +181,34 @@ class Programs {
           return this;
         },
 
+        /**
+         * Toggles the "Open now" filter. The filter is stored in the query as
+         * open[]=1 so it is kept in the history state with the other filters.
+         *
+         * @param   {Object}  event  The change event
+         *
+         * @return  {Promise}        Resolves when the query is updated
+         */
+        openNow: function(event) {
+          return this.updateQuery('open', (event.target.checked) ? [1] : []);
+        },
+
+        /**
+         * Get the status of a service's hours using the hours of all of its
+         * contact points
+         *
+         * @param   {Object}  post  The service
+         *
+         * @return  {Object}        The status from Hours.status() or false if
+         *                          the service does not have hours
+         */
+        hours: function(post) {
+          let hours = (post.contacts || []).filter(c => c.hours)
+            .map(c => c.hours);
+
+          return (hours.length > 0) ? Hours.status(hours) : false;
+        },
+
         /**
          * Generate class names based on population name
          * @param {*} name
@@ -328,6 +366,71 @@ class Programs {
               filterdData.length === 0 && noResultFound();
             }
 
+          // Services without locations are available in every borough
+          if (this.query.boro && this.query.boro.length > 0) {
+            let inBorough = filterdData.filter((service) => {
+              return service.boroughs.length === 0 ||
+                service.boroughs.some((borough) =>
+                  this.query.boro.includes(borough.id)
+                );
+            });
+
+            filterdData.length > 0 && inBorough.length === 0 && noResultFound();
+
+            filterdData = inBorough;
+          }
+
+          // Services need to match every eligibility filter that is checked
+          if (this.query.elig && this.query.elig.length > 0) {
+            let eligible = filterdData.filter((service) => {
+              return this.query.elig.every((id) =>
+                service.eligible.some((term) => term.id === id)
+              );
+            });
+
+            filterdData.length > 0 && eligible.length === 0 && noResultFound();
+
+            filterdData = eligible;
+          }
+
+          // Services provided by any of the checked agencies
+          if (this.query.prov && this.query.prov.length > 0) {
+            let provided = filterdData.filter((service) => {
+              return service.providers.some((provider) =>
+                this.query.prov.includes(provider.id)
+              );
+            });
+
+            filterdData.length > 0 && provided.length === 0 && noResultFound();
+
+            filterdData = provided;
+          }
+
+          if (this.open) {
+            let openNow = filterdData.filter((service) => {
+              let status = this.hours(service);
+
+              return status && status.open;
+            });
+
+            filterdData.length > 0 && openNow.length === 0 && noResultFound();
+
+            filterdData = openNow;
+          }
+
+          // Services featured for the checked populations are listed first in
+          // the order of their collections
+          if (this.query.pop && this.query.pop.length > 0) {
+            let rank = (service) => Math.min(...(service.featured || [])
+              .filter((f) => this.query.pop.includes(f.id))
+              .map((f) => f.order), Infinity);
+
+            filterdData = filterdData
+              .map((service, index) => ({service: service, index: index}))
+              .sort((a, b) => (rank(a.service) - rank(b.service)) || (a.index - b.index))
+              .map((s) => s.service);
+          }
+
           return filterdData;
         },
 
@@ -375,6 +478,15 @@ class Programs {
               if (document.querySelector('#aria-c-cat') != null)
                 window.gunyc.toggleTrigger('#aria-c-cat');
 
+              if (document.querySelector('#aria-c-boro') != null)
+                window.gunyc.toggleTrigger('#aria-c-boro');
+
+              if (document.querySelector('#aria-c-elig') != null)
+                window.gunyc.toggleTrigger('#aria-c-elig');
+
+              if (document.querySelector('#aria-c-prov') != null)
+                window.gunyc.toggleTrigger('#aria-c-prov');
+
               if (document.querySelector('#aria-c-pop') != null) {
                 window.gunyc.toggleTrigger('#aria-c-pop');
 
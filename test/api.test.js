@@ -0,0 +1,98 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const api = require('../bin/util/api');
+
+const services = require('../config/services');
+const schema = require('../config/api');
+const categories = require('../config/categories.json');
+const population = require('../config/population.json');
+const boroughs = require('../config/boroughs.json');
+const providers = require('../config/providers.json');
+const requirements = require('../config/eligibility.json');
+const pkg = require('../package.json');
+
+const published = services.filter(s => s.status !== 'retired');
+
+/**
+ * Check a value against a node of the JSON Schema. Only the keywords used in
+ * config/api.js are checked.
+ *
+ * @param   {Any}     value  The value
+ * @param   {Object}  node   The node of the schema
+ * @param   {String}  at     The path to the value
+ *
+ * @return  {Array}          The paths and messages of the values that don't
+ *                           match
+ */
+const check = (value, node, at = '') => {
+  if (node.$ref) return check(value, schema.$defs[node.$ref.split('/').pop()], at);
+
+  let types = [].concat(node.type || []);
+  let type = (Array.isArray(value)) ? 'array' : (Number.isInteger(value)) ? 'integer' :
+    (value === null) ? 'null' : typeof value;
+
+  if (types.length && !types.includes(type)) return [`${at} should be a ${types.join(' or ')} but is a ${type}`];
+
+  if (node.enum && !node.enum.includes(value)) return [`${at} "${value}" is not one of ${node.enum.join(', ')}`];
+
+  let errors = [].concat(...(node.allOf || []).map(n => check(value, n, at)));
+
+  if (type === 'array' && node.items) {
+    value.forEach((item, i) => errors.push(...check(item, node.items, `${at}[${i}]`)));
+  }
+
+  if (type === 'object') {
+    (node.required || []).filter(key => !value.hasOwnProperty(key))
+      .forEach(key => errors.push(`${at}.${key} is required`));
+
+    Object.keys(value).forEach(key => {
+      let child = (node.properties || {})[key] || node.additionalProperties;
+
+      if (child && typeof child === 'object') errors.push(...check(value[key], child, `${at}.${key}`));
+    });
+  }
+
+  return errors;
+};
+
+test('the list of services matches the schema', () => {
+  let endpoint = {api: api.version, count: published.length, services: published.map(api.summary)};
+
+  assert.deepStrictEqual(check(endpoint, schema.$defs.services), []);
+});
+
+test('the detail of each service matches the schema', () => {
+  published.forEach(s => assert.deepStrictEqual(check(api.detail(s), schema.$defs.service, s.slug), []));
+});
+
+test('the terms and meta data match the schema', () => {
+  let terms = api.terms({
+    categories: categories,
+    population: population,
+    boroughs: boroughs,
+    providers: providers,
+    eligibility: requirements
+  });
+
+  assert.deepStrictEqual(check(terms, schema.$defs.terms), []);
+  assert.deepStrictEqual(check(api.meta(pkg.version, published.length), schema.$defs.meta), []);
+});
+
+test('retired services are not published', () => {
+  let slugs = published.map(api.summary).map(s => s.slug);
+
+  services.filter(s => s.status === 'retired').forEach(s => assert.ok(!slugs.includes(s.slug), s.slug));
+});
+
+test('the summary links the page and the detail of the service', () => {
+  let nycwell = api.summary(services.find(s => s.slug === 'nyc-well'));
+
+  assert.strictEqual(nycwell.page, '/services/nyc-well');
+  assert.strictEqual(nycwell.href, `/api/${api.version}/services/nyc-well.json`);
+  assert.strictEqual(api.file(nycwell.href.replace(`/api/${api.version}`, '')), `dist/api/${api.version}/services/nyc-well.json`);
+});
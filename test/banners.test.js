@@ -0,0 +1,42 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const banners = require('../bin/util/banners');
+
+const services = require('../config/services');
+const map = require('../config/banners');
+
+/**
+ * Get the keys of config/banners.js that are not a service or a view. Missing
+ * images aren't checked here because the built images are not committed.
+ *
+ * @param   {Array}  list  The services
+ *
+ * @return  {Array}        The keys
+ */
+const unknown = (list) => banners.check(list)
+  .filter(e => e.message.startsWith('is not the file name'))
+  .map(e => e.path);
+
+test('each key of config/banners.js is a service or a view', () => {
+  assert.deepStrictEqual(unknown(services), []);
+});
+
+test('a banner key that is not a service or a view is reported', () => {
+  assert.deepStrictEqual(unknown(services.filter(s => !s.file.endsWith('/nyc-well.md'))), ['nyc-well']);
+});
+
+test('orphans() only lists sources of banners that no page uses', () => {
+  let used = Object.values(map).filter(Boolean);
+
+  banners.orphans().forEach(file => {
+    let name = file.split('/').pop().split('@')[0].replace(/-low$/, '');
+
+    assert.ok(file.startsWith('src/img/banners/'), file);
+    assert.ok(!used.includes(name), file);
+  });
+});
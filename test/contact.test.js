@@ -0,0 +1,77 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const contact = require('../bin/util/contact');
+
+test('nanp() normalizes numbers to 10 digits', () => {
+  assert.strictEqual(contact.nanp('888-692-9355'), '8886929355');
+  assert.strictEqual(contact.nanp('(212) 582-0340'), '2125820340');
+  assert.strictEqual(contact.nanp('+1 212.582.0340'), '2125820340');
+  assert.strictEqual(contact.nanp(2125820340), '2125820340');
+});
+
+test('nanp() keeps three digit service codes', () => {
+  assert.strictEqual(contact.nanp('311'), '311');
+  assert.strictEqual(contact.nanp('911'), '911');
+  assert.strictEqual(contact.nanp('988'), '988');
+});
+
+test('nanp() rejects area codes and exchanges that are not valid', () => {
+  assert.strictEqual(contact.nanp('012-582-0340'), false, 'area code starting with 0');
+  assert.strictEqual(contact.nanp('112-582-0340'), false, 'area code starting with 1');
+  assert.strictEqual(contact.nanp('290-582-0340'), false, 'area code ending with 9 in the middle digit');
+  assert.strictEqual(contact.nanp('212-082-0340'), false, 'exchange starting with 0');
+  assert.strictEqual(contact.nanp('411-582-0340'), false, 'N11 area code');
+  assert.strictEqual(contact.nanp('212-911-0340'), false, 'N11 exchange');
+  assert.strictEqual(contact.nanp('582-0340'), false, 'seven digits');
+  assert.strictEqual(contact.nanp('2-212-582-0340'), false, 'country code other than 1');
+});
+
+test('digits() converts vanity numbers with the keypad', () => {
+  assert.strictEqual(contact.digits('888-NYC-WELL'), '8886929355');
+  assert.strictEqual(contact.digits('1-800-273-TALK'), '18002738255');
+});
+
+test('check() reports invalid phone numbers, SMS numbers, and vanity numbers', () => {
+  assert.strictEqual(contact.check({type: 'phone', number: '888-692-9355', vanity: '888-NYC-WELL'}), false);
+  assert.strictEqual(contact.check({type: 'phone', number: '888-692-9355', vanity: '1-888-NYC-WELL'}), false);
+  assert.strictEqual(contact.check({type: 'sms', number: '65173'}), false);
+
+  assert.strictEqual(contact.check({type: 'phone'}), 'a phone contact needs a number');
+  assert.strictEqual(contact.check({type: 'phone', number: '123-456-7890'}),
+    '"123-456-7890" is not a valid NANP phone number');
+  assert.strictEqual(contact.check({type: 'phone', number: '888-692-9355', vanity: '888-NYC-HELP'}),
+    'the vanity number "888-NYC-HELP" does not match "888-692-9355"');
+  assert.strictEqual(contact.check({type: 'sms', number: '1234'}),
+    '"1234" is not a valid NANP phone number or SMS short code');
+});
+
+test('href() links and formats phone and SMS contacts', () => {
+  assert.deepStrictEqual(contact.href({type: 'phone', number: '8886929355', vanity: '888-NYC-WELL', label: 'NYC Well'}), {
+    type: 'phone',
+    number: '8886929355',
+    vanity: '888-NYC-WELL',
+    label: 'NYC Well',
+    href: 'tel:+18886929355',
+    display: '888-NYC-WELL (888-692-9355)',
+    caption: 'NYC Well'
+  });
+
+  assert.strictEqual(contact.href({type: 'phone', number: '988'}).href, 'tel:988');
+
+  let sms = contact.href({type: 'sms', number: '65173', keyword: 'WELL'});
+
+  assert.strictEqual(sms.href, 'sms:65173?body=WELL');
+  assert.strictEqual(sms.display, 'Text WELL to 65173');
+});
+
+test('href() translates the display text of SMS contacts', () => {
+  let t = (s, vars) => s.replace('Text {keyword} to {number}', `Envíe ${vars.keyword} al ${vars.number}`);
+
+  assert.strictEqual(contact.href({type: 'sms', number: '65173', keyword: 'WELL'}, t).display,
+    'Envíe WELL al 65173');
+});
@@ -0,0 +1,46 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const csv = require('../bin/util/csv');
+
+test('stringify() quotes cells with commas, quotes, and line breaks', () => {
+  assert.strictEqual(csv.stringify([
+    ['file', 'title', 'body.whatItIs'],
+    ['nyc-well', 'NYC Well', '<p>Call, text, or chat.</p>\n<p>Say "hello".</p>'],
+    ['empty', undefined, null]
+  ]), 'file,title,body.whatItIs\n' +
+    'nyc-well,NYC Well,"<p>Call, text, or chat.</p>\n<p>Say ""hello"".</p>"\n' +
+    'empty,,\n');
+});
+
+test('parse() reads what stringify() writes', () => {
+  let rows = [
+    ['file', 'categories', 'body.cost'],
+    ['nyc-well', '3; 5; 4', '<p>Free</p>\n\n<p>"Confidential", too.</p>'],
+    ['clubhouses', '', 'Line one\r\nLine two']
+  ];
+
+  assert.deepStrictEqual(csv.parse(csv.stringify(rows)), [
+    rows[0],
+    rows[1],
+    ['clubhouses', '', 'Line one\nLine two']
+  ]);
+});
+
+test('parse() reads spreadsheets saved with a BOM and Windows line endings', () => {
+  assert.deepStrictEqual(csv.parse('\uFEFFfile,title\r\nnyc-well,NYC Well\r\n'), [
+    ['file', 'title'],
+    ['nyc-well', 'NYC Well']
+  ]);
+});
+
+test('parse() skips empty rows and keeps a last row without a line break', () => {
+  assert.deepStrictEqual(csv.parse('file,title\n,\n\nnyc-well,NYC Well'), [
+    ['file', 'title'],
+    ['nyc-well', 'NYC Well']
+  ]);
+});
@@ -0,0 +1,77 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const hours = require('../bin/util/hours');
+
+test('minutes() converts times and allows 24:00 for midnight', () => {
+  assert.strictEqual(hours.minutes('00:00'), 0);
+  assert.strictEqual(hours.minutes('08:30'), 510);
+  assert.strictEqual(hours.minutes('24:00'), 1440);
+  assert.strictEqual(hours.minutes('24:30'), false);
+  assert.strictEqual(hours.minutes('09:60'), false);
+  assert.strictEqual(hours.minutes('9:00'), false);
+});
+
+test('time() formats times for display', () => {
+  assert.strictEqual(hours.time('08:00'), '8am');
+  assert.strictEqual(hours.time('13:30'), '1:30pm');
+  assert.strictEqual(hours.time('00:00'), '12am');
+  assert.strictEqual(hours.time('12:00'), '12pm');
+  assert.strictEqual(hours.time('24:00'), '12am');
+});
+
+test('check() accepts 24/7 and weekly hours', () => {
+  assert.strictEqual(hours.check({always: true}), false);
+  assert.strictEqual(hours.check({
+    weekly: [{days: ['mon'], open: '09:00', close: '17:00'}],
+    exceptions: [{date: '2026-12-25', closed: true}],
+    timezone: 'America/New_York'
+  }), false);
+});
+
+test('check() reports hours that are not valid', () => {
+  let day = (open, close) => ({weekly: [{days: ['mon'], open: open, close: close}]});
+
+  assert.strictEqual(hours.check({}), 'needs "always: true" or a list of weekly hours');
+  assert.strictEqual(hours.check(Object.assign({always: true}, day('09:00', '17:00'))),
+    'can not be open always and have weekly hours');
+  assert.strictEqual(hours.check({always: true, timezone: 'New York'}),
+    '"New York" is not a valid time zone');
+  assert.strictEqual(hours.check(day('24:00', '17:00')),
+    'the opening time "24:00" should be between 00:00 and 23:59');
+  assert.strictEqual(hours.check(day('09:00', '25:00')),
+    'the closing time "25:00" should be between 00:00 and 24:00');
+  assert.strictEqual(hours.check(day('09:00', '09:00')),
+    'the opening and closing times are both "09:00"');
+  assert.strictEqual(hours.check({always: true, exceptions: [{date: '2026-02-30', closed: true}]}),
+    'the exception date "2026-02-30" should be a date in YYYY-MM-DD format');
+  assert.strictEqual(hours.check({always: true, exceptions: [{date: '2026-12-25'}]}),
+    'the exception on 2026-12-25 needs "closed: true" or opening and closing times');
+});
+
+test('text() describes hours with spans of days', () => {
+  assert.strictEqual(hours.text({always: true}), 'Open 24/7');
+  assert.strictEqual(hours.text({weekly: [
+    {days: ['mon', 'tue', 'wed', 'thu', 'fri'], open: '09:00', close: '17:00'},
+    {days: ['sat', 'sun'], open: '10:00', close: '14:30'}
+  ]}), 'Monday – Friday, 9am – 5pm; Saturday, Sunday, 10am – 2:30pm');
+  assert.strictEqual(hours.text({weekly: [
+    {days: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], open: '00:00', close: '24:00'}
+  ]}), 'Every day, 24 hours');
+  assert.strictEqual(hours.text({weekly: [
+    {days: ['mon', 'wed', 'thu', 'fri'], open: '08:00', close: '20:00'}
+  ]}), 'Monday, Wednesday – Friday, 8am – 8pm');
+});
+
+test('text() translates the description', () => {
+  let strings = {'Open 24/7': 'Abierto las 24 horas, los 7 días de la semana', Monday: 'lunes'};
+  let t = (s) => strings[s] || s;
+
+  assert.strictEqual(hours.text({always: true}, t), 'Abierto las 24 horas, los 7 días de la semana');
+  assert.strictEqual(hours.text({weekly: [{days: ['mon'], open: '09:00', close: '17:00'}]}, t),
+    'lunes, 9am – 5pm');
+});
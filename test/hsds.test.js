@@ -0,0 +1,76 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const hsds = require('../bin/util/hsds');
+const spreadsheet = require('../bin/util/spreadsheet');
+
+const services = require('../config/services');
+const pkg = require('../package.json');
+
+/**
+ * Map each HSDS service back to the changes it makes to its content file
+ *
+ * @param   {Array}  items  The HSDS services
+ *
+ * @return  {Array}         The changes, unmapped values, and missing columns
+ *                          of each service that has any
+ */
+const changes = (items) => items.map(item => {
+  let service = services.find(s => item.id === hsds.uuid('service', s.id));
+  let current = spreadsheet.row(service.file, services.sections);
+  let mapped = hsds.record(item, service, current);
+
+  return {
+    file: service.file,
+    changes: spreadsheet.changes(mapped.record, current),
+    unmapped: mapped.unmapped,
+    missing: mapped.missing
+  };
+}).filter(r => r.changes.length || r.unmapped.length || r.missing.length);
+
+test('every service is exported', () => {
+  let items = hsds.compile(hsds.tables(services, pkg.homepage));
+
+  assert.strictEqual(items.length, services.length);
+});
+
+test('importing the export does not change any content file', () => {
+  assert.deepStrictEqual(changes(hsds.compile(hsds.tables(services, pkg.homepage))), []);
+});
+
+test('the CSV tables of a package read back to the same services', () => {
+  let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsds-'));
+
+  try {
+    hsds.write(hsds.tables(services, pkg.homepage), dir);
+
+    fs.unlinkSync(path.join(dir, 'services.json'));
+
+    assert.deepStrictEqual(changes(hsds.read(dir)), []);
+  } finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+});
+
+test('new services without the required fields are reported as missing', () => {
+  let item = {id: 'new', name: 'A New Program', description: 'A program.', attributes: []};
+  let mapped = hsds.record(item, undefined, {});
+
+  assert.deepStrictEqual(mapped.missing.map(m => m.split(' ')[0]),
+    ['howToGetInTouch', 'categories', 'population', 'providers']);
+});
+
+test('fees that are not free are reported instead of imported without a cost type', () => {
+  let item = {id: 'new', name: 'A New Program', fees_description: 'Sliding scale'};
+  let mapped = hsds.record(item, undefined, {});
+
+  assert.strictEqual(mapped.record['body.cost'], undefined);
+  assert.ok(mapped.unmapped.some(u => u.startsWith('fees_description')));
+});
@@ -0,0 +1,56 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const lint = require('../bin/util/lint');
+
+/**
+ * Get the messages of the issues in HTML under an <h2>
+ *
+ * @param   {String}  html  The HTML
+ *
+ * @return  {Array}         The messages
+ */
+const messages = (html) => lint.html(html, 2).map(issue => issue.message);
+
+test('allowed tags, attributes, classes, and links are clean', () => {
+  assert.deepStrictEqual(messages('<div class="list-unordered--check"><ul><li>' +
+    '<a href="https://nycwell.cityofnewyork.us/en/" target="_blank" rel="noopener nofollow">NYC Well</a> ' +
+    '<a href="tel:8886929355">Call</a> <a href="/services/nyc-well#cost">Cost</a></li></ul></div>'), []);
+});
+
+test('links that open a new window need noopener with any quotes', () => {
+  ['<a href="x" target="_blank">', "<a href='x' target='_blank'>", '<a href=x target=_blank>']
+    .forEach(tag => assert.strictEqual(messages(`${tag}x</a>`).length, 1, tag));
+});
+
+test('fix() adds noopener to quoted and unquoted rel attributes', () => {
+  assert.strictEqual(lint.fix('<a href=x target=_blank>x</a>'),
+    '<a href=x target=_blank rel="noopener">x</a>');
+  assert.strictEqual(lint.fix("<a href='x' target='_blank' rel=nofollow>x</a>"),
+    "<a href='x' target='_blank' rel=\"nofollow noopener\">x</a>");
+  assert.strictEqual(lint.fix('<p></p>\n<p>Text</p>'), '<p>Text</p>');
+});
+
+test('event handlers and styles are not allowed attributes', () => {
+  assert.deepStrictEqual(messages('<p onclick="alert(1)" style=color:red>x</p>'), [
+    'the onclick attribute is not allowed on <p>',
+    'the style attribute is not allowed on <p>'
+  ]);
+});
+
+test('javascript: links are reported even when they are obfuscated', () => {
+  ['javascript:alert(1)', ' JavaScript:alert(1)', 'java&#x09;script:alert(1)', 'javascript&colon;alert(1)']
+    .forEach(href => assert.strictEqual(messages(`<a href="${href}">x</a>`).length, 1, href));
+});
+
+test('headings start below the section and do not skip a level', () => {
+  assert.deepStrictEqual(messages('<h2>A</h2><h4>B</h4>'), [
+    '<h2> is not an allowed tag',
+    '<h2> should be below the <h2> it is in',
+    '<h4> skips a level after <h2>'
+  ]);
+});
@@ -0,0 +1,51 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const pages = require('../bin/util/pages');
+
+const services = require('../config/services');
+const locales = require('../config/locales');
+
+const indexed = pages.indexed(services);
+const paths = indexed.map(page => page.path);
+
+test('each page of the sitemap is listed once', () => {
+  assert.strictEqual(new Set(paths).size, paths.length);
+});
+
+test('the sitemap has the pages written by hand and the page of each active service', () => {
+  ['/', '/about', '/services/index'].forEach(page => assert.ok(paths.includes(page), page));
+
+  services.filter(s => s.status !== 'retired')
+    .forEach(s => assert.ok(paths.includes(`/services/${s.slug}`), s.slug));
+});
+
+test('retired services are left out of the sitemap and the listing pages', () => {
+  let retired = services.filter(s => s.status === 'retired');
+
+  retired.forEach(s => assert.ok(!paths.includes(`/services/${s.slug}`), s.slug));
+
+  pages.listings(services).forEach(listing => retired
+    .forEach(s => assert.ok(!listing.listed.includes(s), `${s.slug} on ${listing.path}`)));
+});
+
+test('translated services and listing pages are in the sitemap with the locale path', () => {
+  locales.forEach(locale => services.filter(s => s.status !== 'retired' && s.translations[locale.code])
+    .forEach(s => assert.ok(paths.includes(`/${locale.path}/services/${s.slug}`), s.slug)));
+
+  pages.listings(services).forEach(listing => {
+    let codes = pages.translated(listing.listed).map(locale => locale.code);
+
+    locales.forEach(locale => assert.strictEqual(paths.includes(`/${locale.path}${listing.path}`),
+      codes.includes(locale.code), `${locale.code} ${listing.path}`));
+  });
+});
+
+test('service pages have the service for the last modified date', () => {
+  indexed.filter(page => page.service)
+    .forEach(page => assert.ok(page.path.endsWith(`/services/${page.service.slug}`), page.path));
+});
@@ -0,0 +1,64 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const redirects = require('../bin/util/redirects');
+
+/**
+ * A service with the keys the slug history uses
+ *
+ * @param   {Number}  id    The id of the service
+ * @param   {String}  slug  The slug of the service
+ *
+ * @return  {Object}        The service
+ */
+const service = (id, slug) => ({id: id, slug: slug, title: slug, file: `content/services/${slug}.md`});
+
+test('record() adds new services and changed slugs to the history', () => {
+  let entries = [{id: 2, slugs: ['nyc-well']}];
+
+  assert.strictEqual(redirects.record([service(2, 'nyc-well')], entries), false);
+
+  assert.strictEqual(redirects.record([service(2, 'nyc-well-988'), service(1, 'mobile-crisis-teams')], entries), true);
+  assert.deepStrictEqual(entries, [
+    {id: 1, slugs: ['mobile-crisis-teams']},
+    {id: 2, slugs: ['nyc-well', 'nyc-well-988']}
+  ]);
+});
+
+test('record() moves a slug that comes back to the end', () => {
+  let entries = [{id: 2, slugs: ['nyc-well', 'nyc-well-988']}];
+
+  redirects.record([service(2, 'nyc-well')], entries);
+
+  assert.deepStrictEqual(entries, [{id: 2, slugs: ['nyc-well-988', 'nyc-well']}]);
+});
+
+test('redirects() points each previous slug to the current service', () => {
+  let nycwell = service(2, 'nyc-well-988');
+  let entries = [
+    {id: 2, slugs: ['nyc-well', 'nyc-well-988']},
+    {id: 99, slugs: ['removed']}
+  ];
+
+  assert.deepStrictEqual(redirects.redirects([nycwell], entries), [{slug: 'nyc-well', service: nycwell}]);
+});
+
+test('check() reports a service that takes the previous slug of another service', () => {
+  let entries = [{id: 2, slugs: ['nyc-well', 'nyc-well-988']}];
+
+  assert.deepStrictEqual(redirects.check([service(2, 'nyc-well-988')], entries), []);
+
+  assert.deepStrictEqual(redirects.check([service(2, 'nyc-well-988'), service(3, 'nyc-well')], entries), [{
+    file: 'content/services/nyc-well.md',
+    path: 'slug',
+    title: 'nyc-well',
+    message: '"nyc-well" is a previous slug of the service with the id 2 in config/redirects.json'
+  }]);
+
+  assert.strictEqual(redirects.check([service(2, 'nyc-well-crisis'), service(3, 'nyc-well-988')], entries).length, 1,
+    'a slug that changes in this build');
+});
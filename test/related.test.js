@@ -0,0 +1,63 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const related = require('../bin/util/related');
+
+/**
+ * A service with the keys related services are computed from
+ *
+ * @param   {String}  name        The content file name of the service
+ * @param   {Array}   categories  The category ids
+ * @param   {Array}   population  The population ids
+ * @param   {Object}  keys        Other keys of the service
+ *
+ * @return  {Object}              The service
+ */
+const service = (name, categories, population, keys = {}) => Object.assign({
+  title: name,
+  file: `content/services/${name}.md`,
+  categories: categories.map(id => ({id: id})),
+  population: population.map(id => ({id: id}))
+}, keys);
+
+const services = [
+  service('nyc-well', [3, 5], [6]),
+  service('mobile-crisis-teams', [3], [6]),
+  service('the-trevor-project', [3, 5], [3]),
+  service('clubhouses', [1], [8]),
+  service('ny-project-hope', [3, 5], [6], {status: 'retired'}),
+  service('naloxone', [9], [6])
+];
+
+test('related() orders services by the categories and populations they share', () => {
+  assert.deepStrictEqual(related.related(services[0], services),
+    ['the-trevor-project', 'mobile-crisis-teams', 'naloxone']);
+});
+
+test('related() leaves out retired services and services that share nothing', () => {
+  let list = related.related(services[0], services, 10);
+
+  assert.ok(!list.includes('ny-project-hope'));
+  assert.ok(!list.includes('clubhouses'));
+  assert.ok(!list.includes('nyc-well'));
+});
+
+test('related() puts the services in the related key first', () => {
+  let nycwell = Object.assign({}, services[0], {related: ['clubhouses']});
+
+  assert.deepStrictEqual(related.related(nycwell, [nycwell].concat(services.slice(1))),
+    ['clubhouses', 'the-trevor-project', 'mobile-crisis-teams']);
+});
+
+test('check() reports related services that are not services', () => {
+  let nycwell = Object.assign({}, services[0], {related: ['clubhouses', 'nyc-well', 'missing']});
+
+  assert.deepStrictEqual(related.check([nycwell].concat(services.slice(1))).map(e => [e.path, e.message]), [
+    ['related[1]', 'is the service itself'],
+    ['related[2]', '"missing" is not the file name of a service in content/services']
+  ]);
+});
@@ -0,0 +1,137 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const validate = require('../bin/util/validate');
+
+const services = require('../config/services');
+const categories = require('../config/categories.json');
+const population = require('../config/population.json');
+const boroughs = require('../config/boroughs.json');
+const providers = require('../config/providers.json');
+const requirements = require('../config/eligibility.json');
+
+/**
+ * The registries the services command validates with
+ *
+ * @type {Object}
+ */
+const registries = {
+  categories: {file: 'config/categories.json', terms: categories},
+  population: {file: 'config/population.json', terms: population},
+  boroughs: {file: 'config/boroughs.json', terms: boroughs},
+  providers: {file: 'config/providers.json', terms: providers},
+  eligibility: {file: 'config/eligibility.json', terms: requirements}
+};
+
+const FILE = 'content/services/example-service.md';
+
+/**
+ * The text of a content file for a service that is not in content/services
+ *
+ * @param   {String}  body  The Markdown sections
+ *
+ * @return  {String}        The text of the file
+ */
+const text = (body) => [
+  '---',
+  'id: 999',
+  'title: Example Service',
+  'slug: example-service',
+  'subtitle: A service for the tests',
+  'providers: [1]',
+  'howToGetInTouch:',
+  '  - type: website',
+  '    title: Call',
+  '    contacts:',
+  '      - type: phone',
+  '        number: 888-692-9355',
+  'categories: [3]',
+  'population:',
+  `  - id: ${population[0].id}`,
+  `    name: ${population[0].name}`,
+  '---',
+  '',
+  '## What it is',
+  '',
+  '<p>A service.</p>',
+  '',
+  body,
+  '',
+  '## How to get in touch',
+  '',
+  '### Call',
+  '',
+  '<p>Call us.</p>'
+].join('\n');
+
+/**
+ * Get the paths and messages of the errors of a service that is not written
+ * yet
+ *
+ * @param   {Object}  service  The service
+ *
+ * @return  {Array}            The errors ([path, message])
+ */
+const errors = (service) => validate(services.concat(service), registries)
+  .filter(e => e.file === FILE)
+  .map(e => [e.path, e.message]);
+
+test('sections are keyed by their type and kept in the order of the file', () => {
+  let service = services.preview(FILE, text([
+    '## Frequently asked questions',
+    '',
+    '### Do I need insurance?',
+    '',
+    '<p>No.</p>',
+    '',
+    '## What to expect',
+    '',
+    '<p>A call back.</p>'
+  ].join('\n')));
+
+  assert.deepStrictEqual(service.sections, ['whatItIs', 'faq', 'whatToExpect', 'howToGetInTouch']);
+  assert.strictEqual(service.body.whatToExpect.title, 'What to expect');
+  assert.strictEqual(service.body.whatToExpect.content, '<p>A call back.</p>');
+  assert.deepStrictEqual(errors(service), []);
+});
+
+test('each ### heading of an accordion section is an item', () => {
+  let service = services.preview(FILE, text([
+    '## Frequently asked questions',
+    '',
+    '### Do I need insurance?',
+    '',
+    '<p>No.</p>',
+    '',
+    '### Is it confidential?',
+    '',
+    '<p>Yes.</p>',
+    '<p>Always.</p>'
+  ].join('\n')));
+
+  assert.deepStrictEqual(service.body.faq.items, [
+    {title: 'Do I need insurance?', content: '<p>No.</p>'},
+    {title: 'Is it confidential?', content: '<p>Yes.</p>\n<p>Always.</p>'}
+  ]);
+});
+
+test('an accordion section without questions is reported', () => {
+  let service = services.preview(FILE, text([
+    '## Frequently asked questions',
+    '',
+    '<p>Questions are coming soon.</p>'
+  ].join('\n')));
+
+  assert.deepStrictEqual(errors(service), [['body.faq.items', 'should have at least 1 item(s)']]);
+});
+
+test('sections that are not a type are kept with their heading', () => {
+  let service = services.preview(FILE, text('## Visiting hours\n\n<p>Weekdays.</p>'));
+
+  assert.deepStrictEqual(service.sections, ['whatItIs', 'Visiting hours', 'howToGetInTouch']);
+  assert.deepStrictEqual(service.body['Visiting hours'], {title: 'Visiting hours', content: '<p>Weekdays.</p>'});
+});
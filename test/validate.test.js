@@ -0,0 +1,118 @@
+/**
+ * Dependencies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const validate = require('../bin/util/validate');
+
+const services = require('../config/services');
+const categories = require('../config/categories.json');
+const population = require('../config/population.json');
+const boroughs = require('../config/boroughs.json');
+const providers = require('../config/providers.json');
+const requirements = require('../config/eligibility.json');
+
+/**
+ * The registries the services command validates with
+ *
+ * @type {Object}
+ */
+const registries = {
+  categories: {file: 'config/categories.json', terms: categories},
+  population: {file: 'config/population.json', terms: population},
+  boroughs: {file: 'config/boroughs.json', terms: boroughs},
+  providers: {file: 'config/providers.json', terms: providers},
+  eligibility: {file: 'config/eligibility.json', terms: requirements}
+};
+
+/**
+ * A copy of a valid service. Copies don't have the content file so errors use
+ * the index of the service.
+ *
+ * @return  {Object}  The service
+ */
+const service = () => JSON.parse(JSON.stringify(services.find(s => s.title === 'NYC Well')));
+
+/**
+ * Get the paths and messages of the errors of a list of services
+ *
+ * @param   {Array}  list  The services
+ *
+ * @return  {Array}        The errors ([path, message])
+ */
+const errors = (list, terms = registries) => validate(list, terms).map(e => [e.path, e.message]);
+
+test('the services in content/services are valid', () => {
+  assert.deepStrictEqual(validate(services, registries), []);
+});
+
+test('a required value that is missing or empty is reported with its path', () => {
+  let s = service();
+
+  delete s.subtitle;
+  s.body.whatItIs.content = '';
+
+  assert.deepStrictEqual(errors([s]), [
+    ['[0].subtitle', 'is required'],
+    ['[0].body.whatItIs.content', 'is required']
+  ]);
+});
+
+test('a value of the wrong type is reported', () => {
+  let s = service();
+
+  s.categories = 'Crisis support';
+
+  assert.deepStrictEqual(errors([s]), [['[0].categories', 'should be a array but is a string']]);
+});
+
+test('a value that is not in an enum is reported', () => {
+  let s = service();
+
+  s.body.cost.type = 'sliding-scale';
+
+  assert.deepStrictEqual(errors([s]).map(e => e[0]), ['[0].body.cost.type']);
+  assert.match(errors([s])[0][1], /"sliding-scale" is not one of/);
+});
+
+test('keys that are not in the schema are reported for closed objects', () => {
+  let s = service();
+
+  s.body.hours = {title: 'Hours', content: '<p>24/7</p>'};
+
+  assert.deepStrictEqual(errors([s]), [['[0].body.hours', 'is not a known key']]);
+});
+
+test('term ids are resolved against their registry', () => {
+  let s = service();
+
+  s.population = [{id: 999, name: 'Someone'}, {id: population[0].id, name: 'Someone else'}];
+
+  assert.deepStrictEqual(errors([s]), [
+    ['[0].population[0]', '999 is not an id in the population registry'],
+    ['[0].population[1]', `"Someone else" does not match the name for population id ${population[0].id} ("${population[0].name}")`]
+  ]);
+});
+
+test('duplicate ids, titles, and slugs of services are reported', () => {
+  assert.deepStrictEqual(errors([service(), service()]), [
+    ['[1].id', 'is a duplicate of the service at index 0'],
+    ['[1].title', 'is a duplicate of the service at index 0'],
+    ['[1].slug', 'is a duplicate of the service at index 0']
+  ]);
+});
+
+test('duplicate ids and slugs in a registry are reported with the registry', () => {
+  let terms = Object.assign({}, registries, {
+    categories: {file: 'config/categories.json', terms: categories.concat(categories[0])}
+  });
+
+  let duplicates = validate([service()], terms);
+
+  assert.deepStrictEqual(duplicates.map(e => [e.file, e.path]), [
+    ['config/categories.json', `[${categories.length}].id`],
+    ['config/categories.json', `[${categories.length}].slug`]
+  ]);
+});